@@ -0,0 +1,330 @@
+// Admin dashboard metrics. Results are cached per metric and range for
+// ANALYTICS_CACHE_MS, since every dashboard load asks for all of them.
+const {
+  usersCollection,
+  assignmentSubmissionsCollection,
+  assignmentsCollection,
+  messagesCollection,
+  videosCollection,
+  teachersCollection,
+  teacherRequestsCollection,
+  NOT_DELETED,
+} = require('./db');
+const { DEFAULT_MAX_MARK, round2 } = require('./gradebook');
+
+const ANALYTICS_CACHE_MS = Number(process.env.ANALYTICS_CACHE_MS) || 60 * 1000;
+const ANALYTICS_MAX_BUCKETS = 400;
+
+// key -> { expiresAt, value }
+const analyticsCache = new Map();
+
+// Start of the UTC period containing date; weeks start on Monday
+const periodStart = (date, bucket) => {
+  const d = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  if (bucket === 'week')
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (bucket === 'month') d.setUTCDate(1);
+  return d;
+};
+
+const nextPeriod = (date, bucket) => {
+  const d = new Date(date);
+  if (bucket === 'day') d.setUTCDate(d.getUTCDate() + 1);
+  if (bucket === 'week') d.setUTCDate(d.getUTCDate() + 7);
+  if (bucket === 'month') d.setUTCMonth(d.getUTCMonth() + 1);
+  return d;
+};
+
+const analyticsPeriods = ({ from, to, bucket }) => {
+  const periods = [];
+  for (
+    let d = periodStart(from, bucket);
+    d <= to && periods.length <= ANALYTICS_MAX_BUCKETS;
+    d = nextPeriod(d, bucket)
+  ) {
+    periods.push(d);
+  }
+  return periods;
+};
+
+// Same truncation as periodStart, inside a pipeline
+const periodOf = (field, bucket) => ({
+  $dateTrunc: {
+    date: `$${field}`,
+    unit: bucket,
+    timezone: 'UTC',
+    ...(bucket === 'week' && { startOfWeek: 'monday' }),
+  },
+});
+
+// One entry per period, zero-filled, from rows grouped by { _id: period }
+const toSeries = (rows, range, empty) => {
+  const byPeriod = new Map(rows.map(({ _id, ...row }) => [+_id, row]));
+  return analyticsPeriods(range).map(period => ({
+    period,
+    ...empty,
+    ...byPeriod.get(+period),
+  }));
+};
+
+const inRange = (field, { from, to }) => ({
+  [field]: { $gte: from, $lte: to },
+});
+
+// Each metric: (range) => result; range is { from, to, bucket }
+const ANALYTICS_METRICS = {
+  // New user accounts per period, split by role
+  registrations: async range => {
+    const rows = await usersCollection
+      .aggregate([
+        { $match: inRange('createdAt', range) },
+        {
+          $group: {
+            _id: periodOf('createdAt', range.bucket),
+            total: { $sum: 1 },
+            students: {
+              $sum: { $cond: [{ $eq: ['$role', 'student'] }, 1, 0] },
+            },
+            teachers: {
+              $sum: { $cond: [{ $eq: ['$role', 'teacher'] }, 1, 0] },
+            },
+          },
+        },
+      ])
+      .toArray();
+    const series = toSeries(rows, range, {
+      total: 0,
+      students: 0,
+      teachers: 0,
+    });
+    return { total: series.reduce((sum, p) => sum + p.total, 0), series };
+  },
+
+  // Submissions received in the range, by their current status
+  submissionsByStatus: async range => {
+    const rows = await assignmentSubmissionsCollection
+      .aggregate([
+        { $match: { ...inRange('submittedAt', range), ...NOT_DELETED } },
+        {
+          $group: {
+            _id: {
+              period: periodOf('submittedAt', range.bucket),
+              status: { $ifNull: ['$status', 'submitted'] },
+            },
+            count: { $sum: 1 },
+          },
+        },
+        {
+          $group: {
+            _id: '$_id.period',
+            total: { $sum: '$count' },
+            byStatus: { $push: { k: '$_id.status', v: '$count' } },
+          },
+        },
+        { $set: { byStatus: { $arrayToObject: '$byStatus' } } },
+      ])
+      .toArray();
+    const series = toSeries(rows, range, { total: 0, byStatus: {} });
+    const totals = {};
+    series.forEach(p =>
+      Object.entries(p.byStatus).forEach(([status, count]) => {
+        totals[status] = (totals[status] || 0) + count;
+      })
+    );
+    return { totals, series };
+  },
+
+  // Marks given on submissions in the range, per assignment language
+  averageMarks: async range => {
+    const languages = await assignmentSubmissionsCollection
+      .aggregate([
+        {
+          $match: {
+            ...inRange('submittedAt', range),
+            mark: { $type: 'number' },
+            ...NOT_DELETED,
+          },
+        },
+        {
+          $lookup: {
+            from: assignmentsCollection.collectionName,
+            let: {
+              id: {
+                $convert: {
+                  input: '$assignmentId',
+                  to: 'objectId',
+                  onError: null,
+                },
+              },
+            },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$_id', '$$id'] } } },
+              { $project: { language: 1, maxMark: 1 } },
+            ],
+            as: 'assignment',
+          },
+        },
+        { $unwind: '$assignment' },
+        {
+          $group: {
+            _id: '$assignment.language',
+            graded: { $sum: 1 },
+            averageMark: { $avg: '$mark' },
+            averagePercent: {
+              $avg: {
+                $divide: [
+                  '$mark',
+                  { $ifNull: ['$assignment.maxMark', DEFAULT_MAX_MARK] },
+                ],
+              },
+            },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ])
+      .toArray();
+    return {
+      languages: languages.map(l => ({
+        language: l._id,
+        graded: l.graded,
+        averageMark: round2(l.averageMark),
+        averagePercent: round2(l.averagePercent * 100),
+      })),
+    };
+  },
+
+  // People who sent at least one message, per period and overall
+  activeChatUsers: async range => {
+    const [rows, senders] = await Promise.all([
+      messagesCollection
+        .aggregate([
+          { $match: inRange('createdAt', range) },
+          {
+            $group: {
+              _id: periodOf('createdAt', range.bucket),
+              messages: { $sum: 1 },
+              senders: { $addToSet: '$senderEmail' },
+            },
+          },
+          { $set: { activeUsers: { $size: '$senders' } } },
+          { $project: { senders: 0 } },
+        ])
+        .toArray(),
+      messagesCollection.distinct('senderEmail', inRange('createdAt', range)),
+    ]);
+    return {
+      activeUsers: senders.length,
+      series: toSeries(rows, range, { messages: 0, activeUsers: 0 }),
+    };
+  },
+
+  // Uploads per teacher, busiest first, plus uploads per period
+  videosPerTeacher: async range => {
+    const match = { ...inRange('createdAt', range), ...NOT_DELETED };
+    const [teachers, rows] = await Promise.all([
+      videosCollection
+        .aggregate([
+          { $match: match },
+          { $group: { _id: '$uploadedBy', videos: { $sum: 1 } } },
+          { $sort: { videos: -1, _id: 1 } },
+          {
+            $lookup: {
+              from: teachersCollection.collectionName,
+              localField: '_id',
+              foreignField: 'email',
+              pipeline: [{ $project: { name: 1 } }],
+              as: 'teacher',
+            },
+          },
+        ])
+        .toArray(),
+      videosCollection
+        .aggregate([
+          { $match: match },
+          {
+            $group: {
+              _id: periodOf('createdAt', range.bucket),
+              videos: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray(),
+    ]);
+    return {
+      teachers: teachers.map(t => ({
+        teacherEmail: t._id,
+        teacherName: t.teacher[0]?.name || null,
+        videos: t.videos,
+      })),
+      series: toSeries(rows, range, { videos: 0 }),
+    };
+  },
+
+  // Requests still waiting now, and requests received per period
+  pendingTeacherRequests: async range => {
+    const [pending, oldest, rows] = await Promise.all([
+      teacherRequestsCollection.countDocuments({ status: 'Pending' }),
+      teacherRequestsCollection.findOne(
+        { status: 'Pending' },
+        { sort: { createdAt: 1 }, projection: { createdAt: 1 } }
+      ),
+      teacherRequestsCollection
+        .aggregate([
+          { $match: inRange('createdAt', range) },
+          {
+            $group: {
+              _id: periodOf('createdAt', range.bucket),
+              received: { $sum: 1 },
+              pending: {
+                $sum: { $cond: [{ $eq: ['$status', 'Pending'] }, 1, 0] },
+              },
+            },
+          },
+        ])
+        .toArray(),
+    ]);
+    return {
+      pending,
+      oldestPendingAt: oldest?.createdAt || null,
+      series: toSeries(rows, range, { received: 0, pending: 0 }),
+    };
+  },
+};
+
+// Drop expired entries so distinct ranges do not pile up
+const pruneAnalyticsCache = () => {
+  const now = Date.now();
+  analyticsCache.forEach((entry, key) => {
+    if (entry.expiresAt <= now) analyticsCache.delete(key);
+  });
+};
+
+// Run a metric, reusing a result computed within ANALYTICS_CACHE_MS
+const runAnalytics = async (metric, range, fresh = false) => {
+  const key = `${metric}:${+range.from}:${+range.to}:${range.bucket}`;
+  const cached = analyticsCache.get(key);
+  if (!fresh && cached && cached.expiresAt > Date.now()) return cached.value;
+
+  pruneAnalyticsCache();
+  const value = {
+    metric,
+    ...range,
+    generatedAt: new Date(),
+    ...(await ANALYTICS_METRICS[metric](range)),
+  };
+  analyticsCache.set(key, {
+    value,
+    expiresAt: Date.now() + ANALYTICS_CACHE_MS,
+  });
+  return value;
+};
+
+module.exports = {
+  ANALYTICS_CACHE_MS,
+  ANALYTICS_MAX_BUCKETS,
+  ANALYTICS_METRICS,
+  analyticsPeriods,
+  runAnalytics,
+};
@@ -0,0 +1,314 @@
+// Gradebook: assignment marks and quiz scores per student, weighted into
+// a final percentage and letter grade, with CSV and XLSX export.
+const ExcelJS = require('exceljs');
+const {
+  studentsCollection,
+  assignmentsCollection,
+  assignmentSubmissionsCollection,
+  quizzesTasksCollection,
+  quizAttemptsCollection,
+  NOT_DELETED,
+} = require('./db');
+
+// Assignments created before maxMark existed are marked out of 100
+const DEFAULT_MAX_MARK = 100;
+// Share of the final grade per category when neither the course nor
+// the request sets one
+const DEFAULT_GRADING_WEIGHTS = { assignments: 60, quizzes: 40 };
+
+// Lowest percentage for each letter grade, best first
+const LETTER_GRADES = [
+  [80, 'A+'],
+  [70, 'A'],
+  [60, 'A-'],
+  [50, 'B'],
+  [40, 'C'],
+  [33, 'D'],
+  [0, 'F'],
+];
+
+const round2 = n => Math.round(n * 100) / 100;
+
+const letterGradeOf = percentage =>
+  percentage === null
+    ? null
+    : LETTER_GRADES.find(([min]) => percentage >= min)[1];
+
+const gradingWeightsFor = (course, query = {}) => ({
+  assignments:
+    query.assignmentWeight ??
+    course?.gradingWeights?.assignments ??
+    DEFAULT_GRADING_WEIGHTS.assignments,
+  quizzes:
+    query.quizWeight ??
+    course?.gradingWeights?.quizzes ??
+    DEFAULT_GRADING_WEIGHTS.quizzes,
+});
+
+// Totals over the graded cells only; ungraded work does not count yet
+const categoryTotals = cells => {
+  const graded = cells.filter(c => c.obtained !== null);
+  const obtained = graded.reduce((sum, c) => sum + c.obtained, 0);
+  const possible = graded.reduce((sum, c) => sum + c.possible, 0);
+  const percentages = graded.map(c =>
+    c.possible ? Math.min(c.obtained / c.possible, 1) * 100 : 0
+  );
+  return {
+    graded: graded.length,
+    items: cells.length,
+    obtained: round2(obtained),
+    possible: round2(possible),
+    average: percentages.length
+      ? round2(percentages.reduce((a, b) => a + b, 0) / percentages.length)
+      : null,
+  };
+};
+
+// A category with nothing graded hands its weight to the others
+const weightedPercentage = (totals, weights) => {
+  const parts = Object.entries(weights).filter(
+    ([category, weight]) => weight > 0 && totals[category].average !== null
+  );
+  const weightSum = parts.reduce((sum, [, weight]) => sum + weight, 0);
+  if (!weightSum) return null;
+  return round2(
+    parts.reduce(
+      (sum, [category, weight]) => sum + totals[category].average * weight,
+      0
+    ) / weightSum
+  );
+};
+
+// Active (non-trashed) students, by roll then name
+const gradebookStudents = emails =>
+  studentsCollection
+    .find({ email: { $in: emails }, ...NOT_DELETED })
+    .project({ name: 1, email: 1, roll: 1, className: 1, section: 1 })
+    .sort({ roll: 1, name: 1 })
+    .toArray();
+
+const gradeKey = (email, id) => `${email}:${id}`;
+
+// Assignment marks and quiz scores for some students in one language.
+// teacherEmail narrows assignments to one teacher's (a course view).
+const buildGradebook = async ({
+  language,
+  teacherEmail,
+  students,
+  weights,
+}) => {
+  const emails = students.map(s => s.email);
+  const [assignments, quizzes] = await Promise.all([
+    assignmentsCollection
+      .find({
+        language,
+        ...(teacherEmail && { uploadedBy: teacherEmail }),
+        ...NOT_DELETED,
+      })
+      .project({ title: 1, maxMark: 1 })
+      .sort({ createdAt: 1 })
+      .toArray(),
+    quizzesTasksCollection
+      .find({ kind: 'quiz', language })
+      .project({ title: 1, totalPoints: 1 })
+      .sort({ createdAt: 1 })
+      .toArray(),
+  ]);
+
+  const assignmentIds = assignments.map(a => a._id);
+  const [marks, attempts] = await Promise.all([
+    // Best mark per student and assignment (older submissions kept the
+    // assignment id as a string)
+    assignmentSubmissionsCollection
+      .aggregate([
+        {
+          $match: {
+            assignmentId: {
+              $in: [...assignmentIds, ...assignmentIds.map(String)],
+            },
+            studentEmail: { $in: emails },
+            mark: { $type: 'number' },
+            ...NOT_DELETED,
+          },
+        },
+        {
+          $group: {
+            _id: { email: '$studentEmail', id: { $toString: '$assignmentId' } },
+            mark: { $max: '$mark' },
+          },
+        },
+      ])
+      .toArray(),
+    // Best submitted attempt per student and quiz
+    quizAttemptsCollection
+      .aggregate([
+        {
+          $match: {
+            quizId: { $in: quizzes.map(q => q._id) },
+            studentEmail: { $in: emails },
+            status: 'submitted',
+          },
+        },
+        { $sort: { percentage: -1 } },
+        {
+          $group: {
+            _id: { email: '$studentEmail', id: { $toString: '$quizId' } },
+            score: { $first: '$score' },
+            maxScore: { $first: '$maxScore' },
+          },
+        },
+      ])
+      .toArray(),
+  ]);
+
+  const markOf = new Map(marks.map(m => [gradeKey(m._id.email, m._id.id), m]));
+  const attemptOf = new Map(
+    attempts.map(a => [gradeKey(a._id.email, a._id.id), a])
+  );
+
+  const rows = students.map(student => {
+    const assignmentCells = assignments.map(a => ({
+      assignmentId: a._id,
+      obtained: markOf.get(gradeKey(student.email, a._id))?.mark ?? null,
+      possible: a.maxMark || DEFAULT_MAX_MARK,
+    }));
+    const quizCells = quizzes.map(q => {
+      const attempt = attemptOf.get(gradeKey(student.email, q._id));
+      return {
+        quizId: q._id,
+        obtained: attempt?.score ?? null,
+        possible: attempt?.maxScore ?? q.totalPoints,
+      };
+    });
+    const totals = {
+      assignments: categoryTotals(assignmentCells),
+      quizzes: categoryTotals(quizCells),
+    };
+    const percentage = weightedPercentage(totals, weights);
+
+    return {
+      studentEmail: student.email,
+      studentName: student.name,
+      roll: student.roll ?? null,
+      assignments: assignmentCells,
+      quizzes: quizCells,
+      totals,
+      percentage,
+      letterGrade: letterGradeOf(percentage),
+    };
+  });
+
+  const graded = rows.filter(r => r.percentage !== null);
+  return {
+    language,
+    weights,
+    columns: {
+      assignments: assignments.map(a => ({
+        _id: a._id,
+        title: a.title,
+        maxMark: a.maxMark || DEFAULT_MAX_MARK,
+      })),
+      quizzes: quizzes.map(q => ({
+        _id: q._id,
+        title: q.title,
+        totalPoints: q.totalPoints,
+      })),
+    },
+    rows,
+    summary: {
+      students: rows.length,
+      average: graded.length
+        ? round2(
+            graded.reduce((sum, r) => sum + r.percentage, 0) / graded.length
+          )
+        : null,
+      grades: Object.fromEntries(
+        LETTER_GRADES.map(([, letter]) => [
+          letter,
+          rows.filter(r => r.letterGrade === letter).length,
+        ])
+      ),
+    },
+  };
+};
+
+// Flatten a gradebook into a header row plus one row per student
+const gradebookTable = gradebook => {
+  const blank = value => (value === null ? '' : value);
+  const header = [
+    'Roll',
+    'Student',
+    'Email',
+    ...gradebook.columns.assignments.map(a => `${a.title} (/${a.maxMark})`),
+    'Assignments %',
+    ...gradebook.columns.quizzes.map(q => `${q.title} (/${q.totalPoints})`),
+    'Quizzes %',
+    'Final %',
+    'Grade',
+  ];
+  const rows = gradebook.rows.map(row => [
+    blank(row.roll),
+    row.studentName,
+    row.studentEmail,
+    ...row.assignments.map(c => blank(c.obtained)),
+    blank(row.totals.assignments.average),
+    ...row.quizzes.map(c => blank(c.obtained)),
+    blank(row.totals.quizzes.average),
+    blank(row.percentage),
+    blank(row.letterGrade),
+  ]);
+  return { header, rows };
+};
+
+// Quote when needed; a leading = + - @ would run as a spreadsheet formula
+const csvCell = value => {
+  if (typeof value === 'number') return String(value);
+  let text = String(value ?? '');
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = ({ header, rows }) =>
+  [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') +
+  '\r\n';
+
+// Respond with JSON, or a CSV / XLSX download of the same gradebook
+const sendGradebook = async (res, gradebook, format, baseName) => {
+  if (!format || format === 'json') return res.send(gradebook);
+
+  const table = gradebookTable(gradebook);
+  const fileName = `${baseName.replace(/[^\w.-]+/g, '_')}-gradebook.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  if (format === 'csv') {
+    res.type('text/csv; charset=utf-8');
+    // The BOM makes Excel read the file as UTF-8
+    return res.send('\uFEFF' + toCsv(table));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Gradebook');
+  sheet.addRow(table.header).font = { bold: true };
+  table.rows.forEach(row => sheet.addRow(row));
+  sheet.views = [{ state: 'frozen', xSplit: 3, ySplit: 1 }];
+  sheet.columns.forEach((column, i) => {
+    column.width = Math.min(
+      Math.max(String(table.header[i]).length + 2, 10),
+      40
+    );
+  });
+
+  res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+module.exports = {
+  DEFAULT_MAX_MARK,
+  DEFAULT_GRADING_WEIGHTS,
+  round2,
+  gradingWeightsFor,
+  gradebookStudents,
+  buildGradebook,
+  sendGradebook,
+};
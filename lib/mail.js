@@ -0,0 +1,253 @@
+// Outgoing mail: transports, templates and the persisted send queue.
+// Jobs live in mailQueue so a restart never loses a message.
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { mailQueueCollection, normalizeEmail } = require('./db');
+
+const MAIL_FROM =
+  process.env.MAIL_FROM || 'School Mate <no-reply@school-mate.local>';
+const MAIL_APP_URL =
+  process.env.MAIL_APP_URL || 'https://school-mate-auth.web.app';
+const MAIL_MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS) || 5;
+// Retry after 1, 2, 4, 8... minutes
+const MAIL_RETRY_BASE_MS = 60 * 1000;
+// A job stuck in "sending" this long is assumed lost and picked up again
+const MAIL_SEND_TIMEOUT_MS = 5 * 60 * 1000;
+const MAIL_BATCH_SIZE = 20;
+const MAIL_POLL_MS = 30 * 1000;
+const MAIL_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+const MAIL_PAGE_SIZE = 50;
+
+// Transports share one method: send({ from, to, subject, text, html })
+const createMailTransport = driver => {
+  if (driver === 'smtp') {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return { driver, send: message => transporter.sendMail(message) };
+  }
+  if (driver === 'file') {
+    // One .eml per message, openable in any mail client
+    const dir =
+      process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox');
+    const transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix',
+    });
+    return {
+      driver,
+      async send(message) {
+        const info = await transporter.sendMail(message);
+        await fs.promises.mkdir(dir, { recursive: true });
+        const fileName = `${Date.now()}-${message.to.replace(
+          /[^\w.-]+/g,
+          '_'
+        )}.eml`;
+        await fs.promises.writeFile(path.join(dir, fileName), info.message);
+        return info;
+      },
+    };
+  }
+  if (driver === 'console') {
+    return {
+      driver,
+      async send(message) {
+        console.log(
+          `📧 To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`
+        );
+      },
+    };
+  }
+  throw new Error(`Unknown MAIL_DRIVER: ${driver}`);
+};
+
+const mailTransport = createMailTransport(process.env.MAIL_DRIVER || 'console');
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+const escapeHtml = value =>
+  String(value ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+
+// Each template returns a subject, a heading and plain-text paragraphs;
+// renderMail turns those into both the text and the HTML body.
+const MAIL_TEMPLATES = {
+  welcome: ({ name, roll, className, section, academicYear }) => ({
+    subject: 'Welcome to School Mate',
+    heading: `Welcome, ${name}!`,
+    paragraphs: [
+      'Your student account has been created.',
+      `Class ${className}, section ${section} (${academicYear}), roll ${roll}.`,
+      'Sign in with this email address to see your courses and assignments.',
+    ],
+  }),
+  teacherRequestApproved: ({ name, courseTitle }) => ({
+    subject: 'Your teacher request was approved',
+    heading: `Congratulations, ${name}!`,
+    paragraphs: [
+      'Your request to become a teacher has been approved.',
+      `Your course "${courseTitle}" is ready for videos and assignments.`,
+    ],
+  }),
+  teacherRequestRejected: ({ name }) => ({
+    subject: 'Your teacher request was not approved',
+    heading: `Hi ${name},`,
+    paragraphs: [
+      'Your request to become a teacher was not approved this time.',
+      'You can keep learning as a student and apply again later.',
+    ],
+  }),
+  submissionReviewed: ({
+    studentName,
+    assignmentTitle,
+    status,
+    mark,
+    comments,
+  }) => ({
+    subject: `Your submission for "${assignmentTitle}" was reviewed`,
+    heading: `Hi ${studentName},`,
+    paragraphs: [
+      `Your submission for "${assignmentTitle}" is now ${status}.`,
+      ...(mark !== undefined ? [`Mark: ${mark}`] : []),
+      ...(comments ? [`Comments: ${comments}`] : []),
+    ],
+  }),
+  announcement: ({ title, message }) => ({
+    subject: `Announcement: ${title}`,
+    heading: title,
+    paragraphs: String(message).split(/\n{2,}/),
+  }),
+};
+
+const renderMail = (template, data) => {
+  const { subject, heading, paragraphs } = MAIL_TEMPLATES[template](data);
+  const text = [heading, ...paragraphs, `School Mate: ${MAIL_APP_URL}`].join(
+    '\n\n'
+  );
+  const html = `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5">
+    <h2>${escapeHtml(heading)}</h2>
+    ${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n    ')}
+    <p><a href="${escapeHtml(MAIL_APP_URL)}">Open School Mate</a></p>
+  </body>
+</html>`;
+  return { subject, text, html };
+};
+
+// Persist one rendered message per recipient; the worker sends them
+const enqueueMail = async (emails, template, data) => {
+  const recipients = [...new Set([].concat(emails).map(normalizeEmail))].filter(
+    Boolean
+  );
+  if (!recipients.length) return 0;
+
+  const message = renderMail(template, data);
+  const now = new Date();
+  await mailQueueCollection.insertMany(
+    recipients.map(to => ({
+      to,
+      template,
+      ...message,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+    }))
+  );
+  kickMailQueue();
+  return recipients.length;
+};
+
+const deliverMail = async job => {
+  try {
+    await mailTransport.send({
+      from: MAIL_FROM,
+      to: job.to,
+      subject: job.subject,
+      text: job.text,
+      html: job.html,
+    });
+    await mailQueueCollection.updateOne(
+      { _id: job._id },
+      {
+        $set: { status: 'sent', sentAt: new Date(), lastError: null },
+        $unset: { lockedUntil: '' },
+      }
+    );
+  } catch (err) {
+    const failed = job.attempts >= MAIL_MAX_ATTEMPTS;
+    await mailQueueCollection.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: failed ? 'failed' : 'pending',
+          lastError: err.message,
+          nextAttemptAt: new Date(
+            Date.now() + MAIL_RETRY_BASE_MS * 2 ** (job.attempts - 1)
+          ),
+        },
+        $unset: { lockedUntil: '' },
+      }
+    );
+  }
+};
+
+let mailQueueBusy = false;
+// before runs inside the same busy window, e.g. to queue due announcements
+const processMailQueue = async ({ before } = {}) => {
+  if (mailQueueBusy) return;
+  mailQueueBusy = true;
+  try {
+    if (before) await before();
+    for (let i = 0; i < MAIL_BATCH_SIZE; i++) {
+      const now = new Date();
+      const job = await mailQueueCollection.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedUntil: { $lt: now } },
+          ],
+        },
+        {
+          $set: {
+            status: 'sending',
+            lockedUntil: new Date(now.getTime() + MAIL_SEND_TIMEOUT_MS),
+          },
+          $inc: { attempts: 1 },
+        },
+        { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+      );
+      if (!job) break;
+      await deliverMail(job);
+    }
+  } finally {
+    mailQueueBusy = false;
+  }
+};
+
+// Send soon without making the caller wait (or fail) on delivery
+const kickMailQueue = options =>
+  setImmediate(() => processMailQueue(options).catch(console.dir));
+
+module.exports = {
+  MAIL_POLL_MS,
+  MAIL_STATUSES,
+  MAIL_PAGE_SIZE,
+  renderMail,
+  enqueueMail,
+  processMailQueue,
+  kickMailQueue,
+};
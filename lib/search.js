@@ -0,0 +1,158 @@
+// Full-text search across videos, assignments, announcements and people.
+// Callers may only find what they could otherwise see.
+const {
+  videosCollection,
+  assignmentsCollection,
+  announcementsCollection,
+  studentsCollection,
+  teachersCollection,
+  NOT_DELETED,
+} = require('./db');
+
+const SEARCH_PAGE_SIZE = 20;
+// Deepest result a caller can page to (page × limit)
+const SEARCH_MAX_RESULTS = 500;
+
+const excerpt = (text, length = 160) => {
+  const clean = String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return clean.length > length ? `${clean.slice(0, length - 1)}…` : clean;
+};
+
+// announcementsVisibleTo(user) is the filter for announcements a
+// non-admin can read; it lives with the announcement routes
+const createSearch = ({ announcementsVisibleTo }) => {
+  // What each type searches, who may see it and how a hit is shown.
+  // Only types with a language take part in a language-filtered search.
+  const SEARCH_TYPES = {
+    videos: {
+      collection: videosCollection,
+      index: { title: 10, category: 4, description: 2 },
+      visibleTo: async () => NOT_DELETED,
+      language: language => ({ language }),
+      view: video => ({
+        title: video.title,
+        snippet: excerpt(video.description),
+        language: video.language,
+        category: video.category,
+        uploadedBy: video.uploadedBy,
+        createdAt: video.createdAt,
+      }),
+    },
+    assignments: {
+      collection: assignmentsCollection,
+      index: { title: 10, description: 2 },
+      visibleTo: async () => NOT_DELETED,
+      language: language => ({ language }),
+      view: assignment => ({
+        title: assignment.title,
+        snippet: excerpt(assignment.description),
+        language: assignment.language,
+        uploadedBy: assignment.uploadedBy,
+        createdAt: assignment.createdAt,
+      }),
+    },
+    announcements: {
+      collection: announcementsCollection,
+      index: { title: 10, message: 3 },
+      // Admins also find scheduled and expired announcements
+      visibleTo: async user =>
+        user.role === 'admin' ? {} : announcementsVisibleTo(user),
+      language: language => ({
+        'audience.type': 'language',
+        'audience.language': language,
+      }),
+      view: announcement => ({
+        title: announcement.title,
+        snippet: excerpt(announcement.message),
+        pinned: !!announcement.pinned,
+        createdAt: announcement.publishAt || announcement.createdAt,
+      }),
+    },
+    students: {
+      collection: studentsCollection,
+      index: { name: 10, email: 5 },
+      adminOnly: true,
+      visibleTo: async () => NOT_DELETED,
+      view: student => ({
+        title: student.name,
+        snippet: student.email,
+        email: student.email,
+        roll: student.roll,
+        className: student.className,
+        section: student.section,
+      }),
+    },
+    teachers: {
+      collection: teachersCollection,
+      index: { name: 10, email: 5 },
+      adminOnly: true,
+      visibleTo: async () => ({}),
+      view: teacher => ({
+        title: teacher.name,
+        snippet: teacher.email,
+        email: teacher.email,
+      }),
+    },
+  };
+
+  // Ranked hits from every searchable type the caller may see; each type
+  // contributes its best page × limit hits, which are merged by score
+  const searchContent = async (user, { q, type, language, page, limit }) => {
+    const types = Object.entries(SEARCH_TYPES).filter(
+      ([name, config]) =>
+        (!type || type === name) &&
+        (!config.adminOnly || user.role === 'admin') &&
+        (!language || config.language)
+    );
+    const depth = page * limit;
+
+    const perType = await Promise.all(
+      types.map(async ([name, config]) => {
+        const filter = {
+          $text: { $search: q },
+          ...(await config.visibleTo(user)),
+          ...(language && config.language(language)),
+        };
+        const [docs, total] = await Promise.all([
+          config.collection
+            .find(filter, { projection: { score: { $meta: 'textScore' } } })
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(depth)
+            .toArray(),
+          config.collection.countDocuments(filter),
+        ]);
+        return {
+          name,
+          total,
+          hits: docs.map(doc => ({
+            type: name,
+            _id: doc._id,
+            score: Math.round(doc.score * 1000) / 1000,
+            ...config.view(doc),
+          })),
+        };
+      })
+    );
+
+    const hits = perType
+      .flatMap(t => t.hits)
+      .sort((a, b) => b.score - a.score || String(b._id).localeCompare(a._id));
+    const total = perType.reduce((sum, t) => sum + t.total, 0);
+
+    return {
+      q,
+      page,
+      limit,
+      total,
+      totals: Object.fromEntries(perType.map(t => [t.name, t.total])),
+      results: hits.slice((page - 1) * limit, depth),
+      hasMore: depth < Math.min(total, SEARCH_MAX_RESULTS),
+    };
+  };
+
+  return { SEARCH_TYPES, searchContent };
+};
+
+module.exports = { SEARCH_PAGE_SIZE, SEARCH_MAX_RESULTS, createSearch };
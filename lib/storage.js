@@ -0,0 +1,299 @@
+// File storage drivers. Both expose the same methods, keyed by a
+// storage key such as "videos/123-intro.mp4".
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.mkv': 'video/x-matroska',
+  '.ogv': 'video/ogg',
+  '.ogg': 'video/ogg',
+  '.avi': 'video/x-msvideo',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx':
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx':
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.7z': 'application/x-7z-compressed',
+  '.rar': 'application/vnd.rar',
+};
+
+const contentTypeFor = key =>
+  CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+// Local disk driver: keys are paths under root
+const createLocalStorage = root => {
+  const resolveKey = key => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    driver: 'local',
+
+    async put(key, sourcePath) {
+      const target = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fs.promises.rename(sourcePath, target);
+      } catch (err) {
+        // Temp dir on another device: copy instead of moving
+        if (err.code !== 'EXDEV') throw err;
+        await fs.promises.copyFile(sourcePath, target);
+        await fs.promises.unlink(sourcePath);
+      }
+    },
+
+    async stat(key) {
+      try {
+        const stat = await fs.promises.stat(resolveKey(key));
+        return {
+          size: stat.size,
+          lastModified: stat.mtime,
+          contentType: contentTypeFor(key),
+        };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async createReadStream(key, range = {}) {
+      return fs.createReadStream(resolveKey(key), range);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    async removePrefix(prefix) {
+      await fs.promises.rm(resolveKey(prefix), {
+        recursive: true,
+        force: true,
+      });
+    },
+
+    // Every key stored under a folder
+    async list(prefix) {
+      const keys = [];
+      const walk = async dir => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT') return;
+          throw err;
+        }
+        for (const entry of entries) {
+          const fullPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) await walk(fullPath);
+          else
+            keys.push(path.relative(root, fullPath).split(path.sep).join('/'));
+        }
+      };
+      await walk(resolveKey(prefix));
+      return keys;
+    },
+
+    // Local files are only reachable through the app's own endpoints
+    async getUrl() {
+      return null;
+    },
+
+    async toLocalFile(key) {
+      return { filePath: resolveKey(key), cleanup: async () => {} };
+    },
+  };
+};
+
+// S3-compatible driver (AWS S3, MinIO, R2, ...)
+const createS3Storage = ({
+  tmpDir,
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+  publicUrl,
+  urlExpiresIn,
+}) => {
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 driver');
+
+  const s3 = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+
+  return {
+    driver: 's3',
+
+    async put(key, sourcePath, { contentType } = {}) {
+      const { size } = await fs.promises.stat(sourcePath);
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: fs.createReadStream(sourcePath),
+          ContentLength: size,
+          ContentType: contentType || contentTypeFor(key),
+        })
+      );
+      await fs.promises.unlink(sourcePath);
+    },
+
+    async stat(key) {
+      try {
+        const head = await s3.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return {
+          size: head.ContentLength,
+          lastModified: head.LastModified,
+          contentType: head.ContentType,
+        };
+      } catch (err) {
+        if (err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    async createReadStream(key, { start, end } = {}) {
+      const { Body } = await s3.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ...(start !== undefined && { Range: `bytes=${start}-${end ?? ''}` }),
+        })
+      );
+      return Body;
+    },
+
+    async remove(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async removePrefix(prefix) {
+      let ContinuationToken;
+      do {
+        const page = await s3.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: `${prefix}/`,
+            ContinuationToken,
+          })
+        );
+        if (page.Contents?.length) {
+          await s3.send(
+            new DeleteObjectsCommand({
+              Bucket: bucket,
+              Delete: { Objects: page.Contents.map(({ Key }) => ({ Key })) },
+            })
+          );
+        }
+        ContinuationToken = page.NextContinuationToken;
+      } while (ContinuationToken);
+    },
+
+    async list(prefix) {
+      const keys = [];
+      let ContinuationToken;
+      do {
+        const page = await s3.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: `${prefix}/`,
+            ContinuationToken,
+          })
+        );
+        for (const { Key } of page.Contents || []) keys.push(Key);
+        ContinuationToken = page.NextContinuationToken;
+      } while (ContinuationToken);
+      return keys;
+    },
+
+    async getUrl(key) {
+      if (publicUrl) return `${publicUrl.replace(/\/$/, '')}/${key}`;
+      return getSignedUrl(
+        s3,
+        new GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn: urlExpiresIn }
+      );
+    },
+
+    // Download to a temp file for tools that need a real path (ffmpeg)
+    async toLocalFile(key) {
+      const filePath = path.join(tmpDir, `${Date.now()}-${path.basename(key)}`);
+      await pipeline(
+        await this.createReadStream(key),
+        fs.createWriteStream(filePath)
+      );
+      return {
+        filePath,
+        cleanup: () => fs.promises.rm(filePath, { force: true }),
+      };
+    },
+  };
+};
+
+// uploadsDir is the local driver's root; tmpDir holds S3 downloads
+const createFileStorage = (driver, { uploadsDir, tmpDir }) => {
+  if (driver === 'local') {
+    return createLocalStorage(uploadsDir);
+  }
+  if (driver === 's3') {
+    return createS3Storage({
+      tmpDir,
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl: process.env.S3_PUBLIC_URL,
+      urlExpiresIn: Number(process.env.S3_URL_EXPIRES_SECONDS) || 3600,
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+};
+
+module.exports = {
+  contentTypeFor,
+  createLocalStorage,
+  createS3Storage,
+  createFileStorage,
+};
@@ -0,0 +1,127 @@
+// Soft delete: trashed documents carry deletedAt (and deletedBy) until
+// they are restored or purged after TRASH_RETENTION_DAYS.
+const {
+  studentsCollection,
+  videosCollection,
+  assignmentsCollection,
+  assignmentSubmissionsCollection,
+  NOT_DELETED,
+} = require('./db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PAGE_SIZE = 50;
+
+// Collections that soft delete, keyed by their name in /admin/trash
+const TRASH_TYPES = {
+  students: studentsCollection,
+  videos: videosCollection,
+  assignments: assignmentsCollection,
+  submissions: assignmentSubmissionsCollection,
+};
+
+// Move one document to the trash. Returns { before, after } for auditing,
+// or null when nothing matched (or it was already trashed).
+const moveToTrash = async (collection, filter, user) => {
+  const trashed = { deletedAt: new Date(), deletedBy: user.email };
+  const before = await collection.findOneAndUpdate(
+    { ...filter, ...NOT_DELETED },
+    { $set: trashed },
+    { returnDocument: 'before' }
+  );
+  return before && { before, after: { ...before, ...trashed } };
+};
+
+const purgeAtOf = doc =>
+  new Date(doc.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Trashable documents hanging off a document of each type
+const TRASH_DEPENDENTS = {
+  students: doc => [['submissions', { studentEmail: doc.email }]],
+  // Older submissions kept the assignment id as a string
+  assignments: doc => [
+    ['submissions', { assignmentId: { $in: [doc._id, String(doc._id)] } }],
+  ],
+  teachers: doc => [
+    ['videos', { uploadedBy: doc.email }],
+    ['assignments', { uploadedBy: doc.email }],
+  ],
+};
+
+// Move dependents (and theirs) into the trash; returns how many moved
+const trashDependents = async (
+  type,
+  doc,
+  user,
+  { trashedWith = { type, id: doc._id }, session } = {}
+) => {
+  let moved = 0;
+  for (const [childType, filter] of TRASH_DEPENDENTS[type]?.(doc) || []) {
+    const collection = TRASH_TYPES[childType];
+    const children = await collection
+      .find({ ...filter, ...NOT_DELETED }, { session })
+      .toArray();
+    if (!children.length) continue;
+
+    await collection.updateMany(
+      { _id: { $in: children.map(child => child._id) } },
+      {
+        $set: { deletedAt: new Date(), deletedBy: user.email, trashedWith },
+      },
+      { session }
+    );
+    moved += children.length;
+    for (const child of children) {
+      moved += await trashDependents(childType, child, user, {
+        trashedWith,
+        session,
+      });
+    }
+  }
+  return moved;
+};
+
+// Bring back everything that was trashed along with a document
+const restoreDependents = async (type, doc) => {
+  let restored = 0;
+  for (const collection of Object.values(TRASH_TYPES)) {
+    const { modifiedCount } = await collection.updateMany(
+      { 'trashedWith.type': type, 'trashedWith.id': doc._id },
+      { $unset: { deletedAt: '', deletedBy: '', trashedWith: '' } }
+    );
+    restored += modifiedCount;
+  }
+  return restored;
+};
+
+// Hard-delete whatever has been in the trash past the retention period
+// onPurged(type, doc, collection) runs after each hard delete
+const purgeExpiredTrash = async onPurged => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+  for (const [type, collection] of Object.entries(TRASH_TYPES)) {
+    const expired = await collection
+      .find({ deletedAt: { $lt: cutoff } })
+      .toArray();
+    for (const doc of expired) {
+      // Re-check the cutoff in case the document was restored meanwhile
+      const { deletedCount } = await collection.deleteOne({
+        _id: doc._id,
+        deletedAt: { $lt: cutoff },
+      });
+      if (!deletedCount) continue;
+      await onPurged(type, doc, collection);
+    }
+  }
+};
+
+module.exports = {
+  DAY_MS,
+  TRASH_RETENTION_DAYS,
+  TRASH_PAGE_SIZE,
+  TRASH_TYPES,
+  moveToTrash,
+  purgeAtOf,
+  trashDependents,
+  restoreDependents,
+  purgeExpiredTrash,
+};
@@ -0,0 +1,122 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { verifyAs, withUsers, listen, cursor } = require('./helpers');
+const db = require('../lib/db');
+const {
+  ANALYTICS_CACHE_MS,
+  ANALYTICS_MAX_BUCKETS,
+} = require('../lib/analytics');
+
+const admin = 'admin@school.test';
+
+describe('analytics', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  // The cache outlives each test, so every test asks for its own range
+  const registrations = rows => {
+    withUsers({ [admin]: 'admin' });
+    const aggregate = mock.method(db.usersCollection, 'aggregate', () =>
+      cursor(rows)
+    );
+    const get = query =>
+      api.request('GET', `/admin/analytics/registrations?${query}`, {
+        token: admin,
+      });
+    return { aggregate, get };
+  };
+
+  it('zero-fills every period in the range', async () => {
+    const { get } = registrations([
+      {
+        _id: new Date('2026-03-09T00:00:00Z'),
+        total: 3,
+        students: 2,
+        teachers: 1,
+      },
+    ]);
+
+    // Wednesday to Wednesday: three Monday weeks
+    const res = await get(
+      'from=2026-03-04T00:00:00Z&to=2026-03-18T00:00:00Z&bucket=week'
+    );
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.metric, 'registrations');
+    assert.strictEqual(res.body.total, 3);
+    assert.deepStrictEqual(
+      res.body.series.map(p => [p.period.slice(0, 10), p.total]),
+      [
+        ['2026-03-02', 0],
+        ['2026-03-09', 3],
+        ['2026-03-16', 0],
+      ]
+    );
+  });
+
+  it('reuses a result until it expires or fresh is asked for', async () => {
+    const { aggregate, get } = registrations([]);
+    const range = 'from=2026-04-01T00:00:00Z&to=2026-04-30T00:00:00Z';
+
+    const first = await get(range);
+    const cached = await get(range);
+    assert.strictEqual(aggregate.mock.callCount(), 1);
+    assert.strictEqual(cached.body.generatedAt, first.body.generatedAt);
+
+    await get(`${range}&fresh=true`);
+    assert.strictEqual(aggregate.mock.callCount(), 2);
+
+    const later = Date.now() + ANALYTICS_CACHE_MS;
+    mock.method(Date, 'now', () => later);
+    await get(range);
+    assert.strictEqual(aggregate.mock.callCount(), 3);
+  });
+
+  it('rejects a range that ends before it starts', async () => {
+    const { aggregate, get } = registrations([]);
+
+    const res = await get('from=2026-05-02T00:00:00Z&to=2026-05-01T00:00:00Z');
+
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.details, [
+      { field: 'from', message: 'must be before to' },
+    ]);
+    assert.strictEqual(aggregate.mock.callCount(), 0);
+  });
+
+  it('caps the number of buckets', async () => {
+    const { get } = registrations([]);
+
+    const res = await get('from=2020-01-01T00:00:00Z&to=2026-01-01T00:00:00Z');
+
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.details, [
+      {
+        field: 'bucket',
+        message: `range spans more than ${ANALYTICS_MAX_BUCKETS} buckets`,
+      },
+    ]);
+    // The same range fits by month
+    const monthly = await get(
+      'from=2020-01-01T00:00:00Z&to=2026-01-01T00:00:00Z&bucket=month'
+    );
+    assert.strictEqual(monthly.status, 200);
+    assert.strictEqual(monthly.body.series.length, 73);
+  });
+
+  it('lists the metrics for an unknown one', async () => {
+    withUsers({ [admin]: 'admin' });
+
+    const res = await api.request('GET', '/admin/analytics/visitors', {
+      token: admin,
+    });
+
+    assert.strictEqual(res.status, 404);
+    assert.ok(res.body.metrics.includes('registrations'));
+  });
+});
@@ -0,0 +1,160 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { verifyAs, withUsers, listen, cursor } = require('./helpers');
+const db = require('../lib/db');
+
+const admin = 'admin@school.test';
+const student = 'sam@school.test';
+
+describe('reading announcements', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const courseIds = [new ObjectId(), new ObjectId()];
+
+  const asStudent = rows => {
+    withUsers({ [student]: 'student' });
+    mock.method(db.enrolledCoursesCollection, 'find', () =>
+      cursor(courseIds.map(courseId => ({ courseId, language: 'JavaScript' })))
+    );
+    const aggregate = mock.method(db.announcementsCollection, 'aggregate', () =>
+      cursor(rows)
+    );
+    const reads = mock.method(
+      db.announcementReadsCollection,
+      'bulkWrite',
+      async () => ({})
+    );
+    return { aggregate, reads };
+  };
+
+  it('counts unread announcements for the student audiences', async () => {
+    const { aggregate } = asStudent([{ unread: 2 }]);
+
+    const res = await api.request('GET', '/announcements/unread-count', {
+      token: student,
+    });
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { unread: 2 });
+    const [pipeline] = aggregate.mock.calls[0].arguments;
+    const { $or: audiences } = pipeline[0].$match.$and[1];
+    assert.deepStrictEqual(audiences, [
+      { 'audience.type': { $in: [null, 'all'] } },
+      { 'audience.type': 'students' },
+      {
+        'audience.type': 'course',
+        'audience.courseId': { $in: courseIds },
+      },
+      {
+        'audience.type': 'language',
+        'audience.language': { $in: ['JavaScript'] },
+      },
+    ]);
+    assert.deepStrictEqual(pipeline.at(-2), { $match: { readAt: null } });
+  });
+
+  it('marks every unread announcement read at once', async () => {
+    const ids = [new ObjectId(), new ObjectId()];
+    const { reads } = asStudent(ids.map(_id => ({ _id })));
+
+    const res = await api.request('PUT', '/announcements/read-all', {
+      token: student,
+    });
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { marked: 2, unread: 0 });
+    const [writes, options] = reads.mock.calls[0].arguments;
+    assert.deepStrictEqual(
+      writes.map(w => w.updateOne.filter),
+      ids.map(announcementId => ({ announcementId, email: student }))
+    );
+    // A second read keeps the first readAt
+    assert.ok(writes.every(w => w.updateOne.upsert));
+    assert.ok(writes.every(w => w.updateOne.update.$setOnInsert.readAt));
+    assert.strictEqual(options.ordered, false);
+  });
+
+  it('does not mark an announcement the student cannot see', async () => {
+    const { reads } = asStudent([]);
+
+    const res = await api.request(
+      'PUT',
+      `/announcements/${new ObjectId()}/read`,
+      { token: student }
+    );
+
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(reads.mock.callCount(), 0);
+  });
+});
+
+describe('posting announcements', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const post = (body, course = null) => {
+    withUsers({ [admin]: 'admin' });
+    mock.method(db.coursesCollection, 'findOne', async () => course);
+    mock.method(db.auditLogCollection, 'insertOne', async () => ({}));
+    const insert = mock.method(
+      db.announcementsCollection,
+      'insertOne',
+      async () => ({ insertedId: new ObjectId() })
+    );
+    const done = api.request('POST', '/admin/announcements', {
+      token: admin,
+      body: { title: 'Exams', message: 'Next week', ...body },
+    });
+    return { insert, done };
+  };
+
+  it('schedules an announcement for later', async () => {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+    const { insert, done } = post({ publishAt: publishAt.toISOString() });
+    const res = await done;
+
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.message, 'Announcement scheduled');
+    const [announcement] = insert.mock.calls[0].arguments;
+    assert.deepStrictEqual(announcement.publishAt, publishAt);
+    assert.deepStrictEqual(announcement.audience, { type: 'all' });
+    assert.strictEqual(announcement.emailedAt, null);
+  });
+
+  it('rejects an expiry before publishing', async () => {
+    const { insert, done } = post({
+      publishAt: '2026-05-02T00:00:00Z',
+      expiresAt: '2026-05-01T00:00:00Z',
+    });
+    const res = await done;
+
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.details, [
+      { field: 'expiresAt', message: 'must be after publishAt' },
+    ]);
+    assert.strictEqual(insert.mock.callCount(), 0);
+  });
+
+  it('rejects a course audience for a missing course', async () => {
+    const { insert, done } = post({
+      audience: { type: 'course', courseId: String(new ObjectId()) },
+    });
+    const res = await done;
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.details[0].field, 'audience.courseId');
+    assert.strictEqual(insert.mock.callCount(), 0);
+  });
+});
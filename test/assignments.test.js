@@ -0,0 +1,39 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { verifyAs, withUsers, listen } = require('./helpers');
+
+describe('assignment updates', () => {
+  let api;
+  const token = 'teacher@school.test';
+
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  it('rejects malformed ids', async () => {
+    withUsers({ [token]: 'teacher' });
+    const res = await api.request('PUT', '/assignments/not-an-id', {
+      token,
+      body: { title: 'New title' },
+    });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error, 'Invalid assignment ID');
+  });
+
+  it('rejects an update with neither fields nor a file', async () => {
+    withUsers({ [token]: 'teacher' });
+    const res = await api.request(
+      'PUT',
+      '/assignments/0123456789abcdef01234567',
+      {
+        token,
+        body: {},
+      }
+    );
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.details[0].field, 'body');
+  });
+});
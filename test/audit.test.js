@@ -0,0 +1,176 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { server, verifyAs, withUsers, listen, cursor } = require('./helpers');
+const db = require('../lib/db');
+
+const { messagesCollection: messages } = db;
+
+const admin = 'admin@school.test';
+const teacher = 'teacher@school.test';
+const student = 'sam@school.test';
+
+describe('audited writes', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  it('record a teacher adding a student contact', async () => {
+    withUsers({ [teacher]: 'teacher', [student]: 'student' });
+    mock.method(messages, 'findOne', async () => null);
+    mock.method(messages, 'insertOne', async () => ({}));
+    const audit = mock.method(
+      server.auditLogCollection,
+      'insertOne',
+      async () => ({})
+    );
+
+    const res = await api.request('POST', '/addStudent', {
+      token: teacher,
+      body: { teacherEmail: teacher, studentEmail: student },
+    });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.success, true);
+    const [entry] = audit.mock.calls[0].arguments;
+    assert.strictEqual(entry.action, 'contact.add');
+    assert.deepStrictEqual(entry.actor, {
+      uid: teacher,
+      email: teacher,
+      role: 'teacher',
+    });
+    assert.strictEqual(entry.target.collection, 'messages');
+    assert.strictEqual(entry.changes.receiverEmail.to, student);
+  });
+
+  it('skip a contact that already exists', async () => {
+    withUsers({ [teacher]: 'teacher', [student]: 'student' });
+    mock.method(messages, 'findOne', async () => ({ senderEmail: teacher }));
+    const audit = mock.method(
+      server.auditLogCollection,
+      'insertOne',
+      async () => ({})
+    );
+
+    const res = await api.request('POST', '/addStudent', {
+      token: teacher,
+      body: { teacherEmail: teacher, studentEmail: student },
+    });
+
+    assert.strictEqual(res.body.success, false);
+    assert.strictEqual(audit.mock.callCount(), 0);
+  });
+});
+
+describe('audit log', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  it('records only the fields an update changed', async () => {
+    withUsers({ [admin]: 'admin' });
+    const announcement = {
+      _id: new ObjectId(),
+      title: 'Exams',
+      message: 'Next week',
+      pinned: false,
+      createdAt: new Date(),
+    };
+    mock.method(
+      db.announcementsCollection,
+      'findOne',
+      async () => announcement
+    );
+    mock.method(db.announcementsCollection, 'updateOne', async () => ({}));
+    const audit = mock.method(
+      server.auditLogCollection,
+      'insertOne',
+      async () => ({})
+    );
+
+    const res = await api.request(
+      'PUT',
+      `/admin/announcements/${announcement._id}`,
+      { token: admin, body: { title: 'Exams', pinned: true } }
+    );
+
+    assert.strictEqual(res.status, 200);
+    const [entry] = audit.mock.calls[0].arguments;
+    assert.strictEqual(entry.action, 'announcement.update');
+    assert.deepStrictEqual(entry.target, {
+      collection: 'announcements',
+      id: announcement._id,
+    });
+    assert.deepStrictEqual(entry.changes, {
+      pinned: { from: false, to: true },
+    });
+  });
+
+  it('still answers when the audit write fails', async () => {
+    withUsers({ [teacher]: 'teacher', [student]: 'student' });
+    mock.method(messages, 'findOne', async () => null);
+    mock.method(messages, 'insertOne', async () => ({}));
+    mock.method(console, 'error', () => {});
+    mock.method(server.auditLogCollection, 'insertOne', async () => {
+      throw new Error('disk full');
+    });
+
+    const res = await api.request('POST', '/addStudent', {
+      token: teacher,
+      body: { teacherEmail: teacher, studentEmail: student },
+    });
+
+    assert.strictEqual(res.body.success, true);
+  });
+
+  it('filters entries and pages them newest first', async () => {
+    withUsers({ [admin]: 'admin' });
+    const entries = [3, 2, 1].map(() => ({ _id: new ObjectId() }));
+    const find = mock.method(server.auditLogCollection, 'find', () =>
+      cursor(entries)
+    );
+    const before = new ObjectId();
+    const target = new ObjectId();
+
+    const res = await api.request(
+      'GET',
+      `/admin/audit-log?actor=Teacher@School.test&action=contact.add` +
+        `&target=messages&targetId=${target}&from=2026-01-01T00:00:00Z` +
+        `&before=${before}&limit=2`,
+      { token: admin }
+    );
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(find.mock.calls[0].arguments[0], {
+      'actor.email': teacher,
+      action: 'contact.add',
+      'target.collection': 'messages',
+      'target.id': target,
+      createdAt: { $gte: new Date('2026-01-01T00:00:00Z') },
+      _id: { $lt: before },
+    });
+    assert.strictEqual(res.body.entries.length, 2);
+    assert.strictEqual(res.body.hasMore, true);
+    assert.strictEqual(res.body.nextBefore, String(entries[1]._id));
+  });
+
+  it('is for admins only', async () => {
+    withUsers({ [teacher]: 'teacher' });
+    const find = mock.method(server.auditLogCollection, 'find');
+
+    const res = await api.request('GET', '/admin/audit-log', {
+      token: teacher,
+    });
+
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(find.mock.callCount(), 0);
+  });
+});
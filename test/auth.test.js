@@ -0,0 +1,91 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { server, verifyAs, withUsers, listen, cursor } = require('./helpers');
+
+describe('auth', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const users = {
+    'admin@school.test': 'admin',
+    'teacher@school.test': 'teacher',
+    'sam@school.test': 'student',
+    'alex@school.test': 'student',
+  };
+
+  it('rejects requests without a bearer token', async () => {
+    const res = await api.request('GET', '/admin/students');
+    assert.strictEqual(res.status, 401);
+  });
+
+  it('rejects tokens the verifier refuses', async () => {
+    const res = await api.request('GET', '/admin/students', {
+      token: 'garbage',
+    });
+    assert.strictEqual(res.status, 401);
+  });
+
+  it('keeps admin routes to admins', async () => {
+    withUsers(users);
+    mock.method(server.studentsCollection, 'find', () => cursor([]));
+
+    for (const token of ['teacher@school.test', 'sam@school.test']) {
+      const res = await api.request('GET', '/admin/students', { token });
+      assert.strictEqual(res.status, 403, token);
+    }
+    const res = await api.request('GET', '/admin/students', {
+      token: 'admin@school.test',
+    });
+    assert.strictEqual(res.status, 200);
+  });
+
+  it('treats verified users without a users row as having no role', async () => {
+    withUsers(users);
+    const res = await api.request('GET', '/admin/students', {
+      token: 'stranger@school.test',
+    });
+    assert.strictEqual(res.status, 403);
+  });
+
+  it('keeps teacher routes to the teacher named in the path', async () => {
+    withUsers({ ...users, 'other@school.test': 'teacher' });
+
+    let res = await api.request('GET', '/teacher/videos/teacher@school.test', {
+      token: 'sam@school.test',
+    });
+    assert.strictEqual(res.status, 403);
+
+    res = await api.request('GET', '/teacher/videos/teacher@school.test', {
+      token: 'other@school.test',
+    });
+    assert.strictEqual(res.status, 403);
+  });
+
+  it('lets students read only their own record', async () => {
+    withUsers(users);
+    mock.method(server.studentsCollection, 'findOne', async ({ email }) => ({
+      email,
+    }));
+
+    let res = await api.request('GET', '/students/email/alex@school.test', {
+      token: 'sam@school.test',
+    });
+    assert.strictEqual(res.status, 403);
+
+    res = await api.request('GET', '/students/email/Sam@School.test', {
+      token: 'sam@school.test',
+    });
+    assert.strictEqual(res.status, 200);
+
+    res = await api.request('GET', '/students/email/alex@school.test', {
+      token: 'admin@school.test',
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.email, 'alex@school.test');
+  });
+});
@@ -0,0 +1,229 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const {
+  server,
+  verifyAs,
+  listen,
+  cursor,
+  fakeDb,
+  fakeSessions,
+} = require('./helpers');
+
+const token = 'admin@school.test';
+
+// verifyToken's lookup, answered through fakeDb
+const adminLookup = {
+  'users.findOne': async ({ email }) =>
+    email === token ? { email, role: 'admin' } : null,
+};
+
+describe('purge', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('hard-deletes expired students with everything tied to them', async () => {
+    const student = {
+      _id: new ObjectId(),
+      email: 'sam@school.test',
+      deletedAt: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000),
+    };
+    fakeSessions();
+    const calls = fakeDb({
+      'students.find': () => cursor([student]),
+      'students.deleteOne': async () => ({ deletedCount: 1 }),
+    });
+
+    await server.purgeTrash();
+
+    const writes = calls
+      .filter(c => c.method.startsWith('delete'))
+      .map(c => `${c.collection}.${c.method}`);
+    assert.deepStrictEqual(writes, [
+      'students.deleteOne',
+      'users.deleteOne',
+      'assignmentSubmit.deleteMany',
+      'quizAttempts.deleteMany',
+      'messages.deleteMany',
+      'notifications.deleteMany',
+      'videoProgress.deleteMany',
+    ]);
+    const audit = calls.find(c => c.collection === 'auditLog');
+    assert.strictEqual(audit.args[0].action, 'trash.purge');
+  });
+
+  it('deletes submissions stored with either assignment id type', async () => {
+    const assignment = { _id: new ObjectId(), deletedAt: new Date(0) };
+    const calls = fakeDb({
+      'assignments.find': () => cursor([assignment]),
+      'assignments.deleteOne': async () => ({ deletedCount: 1 }),
+    });
+
+    await server.purgeTrash();
+
+    const purge = calls.find(
+      c => c.collection === 'assignmentSubmit' && c.method === 'deleteMany'
+    );
+    assert.deepStrictEqual(purge.args[0], {
+      assignmentId: { $in: [assignment._id, String(assignment._id)] },
+    });
+  });
+
+  it('leaves documents that were restored before the delete', async () => {
+    const student = { _id: new ObjectId(), deletedAt: new Date(0) };
+    const calls = fakeDb({ 'students.find': () => cursor([student]) });
+
+    await server.purgeTrash();
+
+    assert.ok(!calls.some(c => c.collection === 'users'));
+    assert.ok(!calls.some(c => c.collection === 'auditLog'));
+  });
+});
+
+describe('teacher removal', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const teacher = {
+    _id: new ObjectId(),
+    email: 'teacher@school.test',
+  };
+  const course = { _id: new ObjectId(), teacherEmail: teacher.email };
+  const enrollment = {
+    _id: new ObjectId(),
+    courseId: course._id,
+    studentEmail: 'sam@school.test',
+    status: 'active',
+  };
+
+  const remove = overrides => {
+    const session = fakeSessions();
+    const calls = fakeDb({
+      ...adminLookup,
+      'teachers.findOne': async () => teacher,
+      'videos.find': () => cursor([{ _id: new ObjectId() }]),
+      'courses.find': () => cursor([course]),
+      'courses.findOne': async () => course,
+      'enrolledCourses.find': () => cursor([enrollment]),
+      'enrolledCourses.findOneAndDelete': async () => enrollment,
+      ...overrides,
+    });
+    const done = api.request('DELETE', `/admin/teachers/${teacher._id}`, {
+      token,
+    });
+    return { session, calls, done };
+  };
+
+  it('runs every step in one transaction', async () => {
+    const { session, calls, done } = remove();
+    const res = await done;
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.trashedContent, 1);
+    assert.strictEqual(res.body.deletedCourses, 1);
+    assert.strictEqual(res.body.droppedEnrollments, 1);
+
+    // Everything after verifyToken's lookup and before the audit entry
+    const steps = calls
+      .slice(calls.findIndex(c => c.collection === 'teachers'))
+      .filter(c => c.collection !== 'auditLog');
+    for (const { collection, method, args } of steps) {
+      const options = args.find(
+        (arg, i) => i > 0 && arg && typeof arg === 'object' && 'session' in arg
+      );
+      assert.strictEqual(options?.session, session, `${collection}.${method}`);
+    }
+    assert.ok(
+      steps.some(c => c.collection === 'teachers' && c.method === 'deleteOne')
+    );
+  });
+
+  it('reports a missing teacher as 404', async () => {
+    const { calls, done } = remove({ 'teachers.findOne': async () => null });
+    const res = await done;
+
+    assert.strictEqual(res.status, 404);
+    assert.ok(!calls.some(c => c.method.startsWith('delete')));
+  });
+
+  it('does not audit a removal that failed part way', async () => {
+    const { calls, done } = remove({
+      'notifications.deleteMany': async () => {
+        throw new Error('write conflict');
+      },
+    });
+    const res = await done;
+
+    assert.strictEqual(res.status, 500);
+    assert.ok(!calls.some(c => c.collection === 'auditLog'));
+  });
+});
+
+describe('teacher demotion', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const teacher = {
+    _id: new ObjectId(),
+    email: 'teacher@school.test',
+    studentProfile: { _id: new ObjectId(), name: 'Tara', roll: 4 },
+  };
+  const course = { _id: new ObjectId(), teacherEmail: teacher.email };
+  const enrollment = {
+    _id: new ObjectId(),
+    courseId: course._id,
+    studentEmail: 'sam@school.test',
+    status: 'active',
+  };
+
+  it('retires the teacher content in the same transaction', async () => {
+    const session = fakeSessions();
+    const calls = fakeDb({
+      ...adminLookup,
+      'teachers.findOne': async () => teacher,
+      'videos.find': () => cursor([{ _id: new ObjectId() }]),
+      'courses.find': () => cursor([course]),
+      'courses.findOne': async () => course,
+      'enrolledCourses.find': () => cursor([enrollment]),
+      'enrolledCourses.findOneAndDelete': async () => enrollment,
+    });
+
+    const res = await api.request(
+      'PUT',
+      `/admin/teachers/demote/${teacher.email}`,
+      { token }
+    );
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.student.roll, 4);
+    assert.strictEqual(res.body.trashedContent, 1);
+    assert.strictEqual(res.body.deletedCourses, 1);
+    assert.strictEqual(res.body.droppedEnrollments, 1);
+
+    const write = (collection, method) =>
+      calls.find(c => c.collection === collection && c.method === method);
+    for (const [collection, method] of [
+      ['videos', 'updateMany'],
+      ['courses', 'deleteMany'],
+      ['enrolledCourses', 'findOneAndDelete'],
+      ['teachers', 'deleteOne'],
+    ]) {
+      const { args } = write(collection, method);
+      assert.strictEqual(args.at(-1).session, session, collection);
+    }
+    // The account stays: only the teacher profile goes
+    assert.ok(!write('users', 'deleteOne'));
+    const audit = write('auditLog', 'insertOne').args[0];
+    assert.strictEqual(audit.action, 'teacher.demote');
+    assert.strictEqual(audit.meta.deletedCourses, 1);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const {
+  server,
+  verifyAs,
+  withUsers,
+  listen,
+  fakeSessions,
+} = require('./helpers');
+const db = require('../lib/db');
+
+const teacher = 'teacher@school.test';
+
+describe('course updates', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const course = {
+    _id: new ObjectId(),
+    title: 'JavaScript Basics',
+    language: 'JavaScript',
+    teacherEmail: teacher,
+    enrolledCount: 3,
+  };
+
+  const update = body => {
+    withUsers({ [teacher]: 'teacher' });
+    fakeSessions();
+    mock.method(db.coursesCollection, 'findOne', async () => course);
+    mock.method(db.coursesCollection, 'updateOne', async () => ({}));
+    mock.method(server.auditLogCollection, 'insertOne', async () => ({}));
+    const teachers = mock.method(
+      db.teachersCollection,
+      'updateOne',
+      async () => ({})
+    );
+    const enrollments = mock.method(
+      db.enrolledCoursesCollection,
+      'updateMany',
+      async () => ({})
+    );
+    const done = api.request('PUT', `/courses/${course._id}`, {
+      token: teacher,
+      body,
+    });
+    return { teachers, enrollments, done };
+  };
+
+  it('copies a new language to existing enrollments', async () => {
+    const { teachers, enrollments, done } = update({ language: 'TypeScript' });
+    const res = await done;
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(teachers.mock.callCount(), 0);
+    const [filter, change] = enrollments.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { courseId: course._id });
+    assert.deepStrictEqual(change, { $set: { language: 'TypeScript' } });
+  });
+
+  it('renames the course everywhere it is copied', async () => {
+    const { teachers, enrollments, done } = update({
+      title: 'Modern JavaScript',
+      language: 'TypeScript',
+    });
+    const res = await done;
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(teachers.mock.calls[0].arguments[1], {
+      $set: { 'courses.$[c].name': 'Modern JavaScript' },
+    });
+    assert.deepStrictEqual(enrollments.mock.calls[0].arguments[1], {
+      $set: { courseTitle: 'Modern JavaScript', language: 'TypeScript' },
+    });
+  });
+
+  it('leaves enrollments alone when neither is copied', async () => {
+    const { enrollments, done } = update({ description: 'Now with labs' });
+    const res = await done;
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(enrollments.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { server, verifyAs, withUsers, listen, cursor } = require('./helpers');
+const db = require('../lib/db');
+
+const student = 'sam@school.test';
+const teacher = 'teacher@school.test';
+
+describe('gradebooks', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const assignment = { _id: new ObjectId(), title: 'Loops', maxMark: 100 };
+  const quiz = { _id: new ObjectId(), title: 'Basics', totalPoints: 10 };
+  // Assignments only: the quiz (full marks) must not lift the grade
+  const course = {
+    _id: new ObjectId(),
+    title: 'JavaScript Basics',
+    language: 'JavaScript',
+    teacherEmail: teacher,
+    gradingWeights: { assignments: 100, quizzes: 0 },
+  };
+
+  // 50% on the assignment, 100% on the quiz
+  const grades = () => {
+    mock.method(server.studentsCollection, 'find', () =>
+      cursor([{ email: student, name: 'Sam', roll: 1 }])
+    );
+    mock.method(server.assignmentsCollection, 'find', () =>
+      cursor([assignment])
+    );
+    mock.method(server.quizzesTasksCollection, 'find', () => cursor([quiz]));
+    mock.method(server.assignmentSubmissionsCollection, 'aggregate', () =>
+      cursor([
+        { _id: { email: student, id: String(assignment._id) }, mark: 50 },
+      ])
+    );
+    mock.method(server.quizAttemptsCollection, 'aggregate', () =>
+      cursor([
+        {
+          _id: { email: student, id: String(quiz._id) },
+          score: 10,
+          maxScore: 10,
+        },
+      ])
+    );
+  };
+
+  it("weigh a student's grades by each course's weights", async () => {
+    withUsers({ [student]: 'student' });
+    grades();
+    mock.method(db.enrolledCoursesCollection, 'find', () =>
+      cursor([{ courseId: course._id, language: course.language }])
+    );
+    const courses = mock.method(db.coursesCollection, 'find', () =>
+      cursor([course])
+    );
+
+    const res = await api.request('GET', `/gradebook/students/${student}`, {
+      token: student,
+    });
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(courses.mock.calls[0].arguments[0], {
+      _id: { $in: [course._id] },
+    });
+    const [gradebook] = res.body.gradebooks;
+    assert.strictEqual(gradebook.course.title, course.title);
+    assert.deepStrictEqual(gradebook.weights, course.gradingWeights);
+    assert.strictEqual(gradebook.percentage, 50);
+    assert.strictEqual(gradebook.letterGrade, 'B');
+  });
+
+  it('fall back to the default weights without a course', async () => {
+    withUsers({ [student]: 'student' });
+    grades();
+    mock.method(db.enrolledCoursesCollection, 'find', () =>
+      cursor([{ language: 'JavaScript' }])
+    );
+    mock.method(db.coursesCollection, 'find', () => cursor([]));
+
+    const res = await api.request('GET', `/gradebook/students/${student}`, {
+      token: student,
+    });
+
+    const [gradebook] = res.body.gradebooks;
+    assert.strictEqual(gradebook.course, null);
+    assert.deepStrictEqual(gradebook.weights, {
+      assignments: 60,
+      quizzes: 40,
+    });
+    assert.strictEqual(gradebook.percentage, 70);
+  });
+
+  it("use a teacher's course weights for its language", async () => {
+    withUsers({ [teacher]: 'teacher' });
+    grades();
+    mock.method(db.coursesCollection, 'find', () => cursor([course]));
+    mock.method(db.enrolledCoursesCollection, 'distinct', async () => [
+      student,
+    ]);
+
+    const res = await api.request('GET', '/gradebook/languages/JavaScript', {
+      token: teacher,
+    });
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.weights, course.gradingWeights);
+    assert.strictEqual(res.body.rows[0].percentage, 50);
+  });
+});
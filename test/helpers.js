@@ -0,0 +1,100 @@
+const { mock } = require('node:test');
+const { Collection, ObjectId } = require('mongodb');
+const server = require('../index.js');
+
+// Tokens are "<email>"; anything else fails verification
+const verifyAs = () =>
+  server.setTokenVerifier(async token => {
+    if (!token.includes('@')) throw new Error('bad token');
+    return { uid: token, email: token };
+  });
+
+// Registered users keyed by email → role
+const withUsers = users =>
+  mock.method(server.usersCollection, 'findOne', async ({ email }) =>
+    users[email] ? { email, role: users[email], name: email } : null
+  );
+
+// Runs the app on an ephemeral port; returns a fetch helper (and the base
+// url, for requests that are not JSON)
+const listen = () => {
+  const httpServer = server.app.listen(0);
+  const base = () => `http://127.0.0.1:${httpServer.address().port}`;
+
+  const request = async (method, url, { token, body } = {}) => {
+    const headers = {};
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    const res = await fetch(base() + url, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  };
+
+  return { request, url: base, close: () => httpServer.close() };
+};
+
+// One session that just runs the callback, for code in withTransaction
+const fakeSessions = () => {
+  const session = {
+    withTransaction: async fn => fn(),
+    endSession: async () => {},
+  };
+  mock.method(server.client, 'startSession', () => session);
+  return session;
+};
+
+const cursor = docs => {
+  const chain = {
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    project: () => chain,
+    toArray: async () => docs,
+  };
+  return chain;
+};
+
+const DEFAULT_RESULTS = {
+  find: () => cursor([]),
+  findOne: async () => null,
+  findOneAndUpdate: async () => null,
+  findOneAndDelete: async () => null,
+  insertOne: async () => ({ insertedId: new ObjectId() }),
+  updateOne: async () => ({ matchedCount: 0, modifiedCount: 0 }),
+  updateMany: async () => ({ matchedCount: 0, modifiedCount: 0 }),
+  deleteOne: async () => ({ deletedCount: 0 }),
+  deleteMany: async () => ({ deletedCount: 0 }),
+  countDocuments: async () => 0,
+  bulkWrite: async () => ({}),
+};
+
+// Stands in for every collection at once, by stubbing Collection.prototype.
+// Use it in test files that stub nothing per collection: a restored
+// per-collection stub would shadow it. `overrides` maps
+// "collection.method" to an implementation; everything else finds nothing.
+// Each call is recorded as { collection, method, args }.
+const fakeDb = (overrides = {}) => {
+  const calls = [];
+  for (const [method, fallback] of Object.entries(DEFAULT_RESULTS)) {
+    mock.method(Collection.prototype, method, function (...args) {
+      calls.push({ collection: this.collectionName, method, args });
+      const impl = overrides[`${this.collectionName}.${method}`] || fallback;
+      return impl(...args);
+    });
+  }
+  return calls;
+};
+
+module.exports = {
+  server,
+  verifyAs,
+  withUsers,
+  listen,
+  fakeSessions,
+  cursor,
+  fakeDb,
+};
@@ -0,0 +1,152 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { verifyAs, withUsers, listen, fakeSessions } = require('./helpers');
+const db = require('../lib/db');
+
+const admin = 'admin@school.test';
+
+// Lets the welcome mails' queue runs finish before mocks are restored
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const CSV = [
+  'Name,Email,Phone,Class,Shoe size',
+  'Sam,Sam@School.test,555-0100,7,42',
+  'Tara,not-an-email,,7,',
+  'Sam again,sam@school.test,,7,',
+  'Kim,kim@school.test,,8,',
+].join('\n');
+
+describe('student import', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const upload = (csv, { mode, name = 'students.csv' } = {}) => {
+    withUsers({ [admin]: 'admin' });
+    const form = new FormData();
+    form.append('file', new Blob([csv], { type: 'text/csv' }), name);
+    return fetch(
+      `${api.url()}/admin/students/import${mode ? `?mode=${mode}` : ''}`,
+      {
+        method: 'POST',
+        headers: { authorization: `Bearer ${admin}` },
+        body: form,
+      }
+    );
+  };
+
+  const registered = emails =>
+    mock.method(db.usersCollection, 'distinct', async () => emails);
+
+  it('reports every row on a dry run without writing', async () => {
+    registered(['kim@school.test']);
+    const inserts = mock.method(db.studentsCollection, 'insertOne');
+
+    const res = await upload(CSV);
+    const body = await res.json();
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(body.dryRun, true);
+    assert.deepStrictEqual(body.unknownColumns, ['Shoe size']);
+    assert.deepStrictEqual(body.summary, {
+      rows: 4,
+      valid: 1,
+      invalid: 1,
+      duplicate: 1,
+      exists: 1,
+    });
+    const [sam, tara, again, kim] = body.rows;
+    assert.deepStrictEqual(
+      [sam.line, sam.email, sam.status, sam.className],
+      [2, 'sam@school.test', 'valid', '7']
+    );
+    assert.strictEqual(tara.errors[0].field, 'email');
+    assert.deepStrictEqual(again.errors, [
+      { field: 'email', message: 'duplicate of line 2' },
+    ]);
+    assert.deepStrictEqual(kim.errors, [
+      { field: 'email', message: 'is already registered' },
+    ]);
+    assert.strictEqual(inserts.mock.callCount(), 0);
+  });
+
+  it('registers the valid rows on commit', async () => {
+    registered([]);
+    fakeSessions();
+    mock.method(db.countersCollection, 'findOneAndUpdate', async ({ _id }) => ({
+      _id,
+      seq: 1,
+    }));
+    const users = mock.method(db.usersCollection, 'insertOne', async () => ({
+      insertedId: new ObjectId(),
+    }));
+    mock.method(db.studentsCollection, 'insertOne', async () => ({
+      insertedId: new ObjectId(),
+    }));
+    const audit = mock.method(
+      db.auditLogCollection,
+      'insertOne',
+      async () => ({})
+    );
+    const mail = mock.method(
+      db.mailQueueCollection,
+      'insertMany',
+      async () => ({})
+    );
+    let drained;
+    const empty = new Promise(resolve => (drained = resolve));
+    mock.method(db.mailQueueCollection, 'findOneAndUpdate', async () => {
+      drained();
+      return null;
+    });
+
+    const res = await upload(CSV, { mode: 'commit' });
+    const body = await res.json();
+    await empty;
+    await tick();
+
+    assert.strictEqual(res.status, 201);
+    assert.deepStrictEqual(body.summary, {
+      rows: 4,
+      created: 2,
+      invalid: 1,
+      duplicate: 1,
+    });
+    assert.deepStrictEqual(
+      users.mock.calls.map(c => c.arguments[0].email),
+      ['sam@school.test', 'kim@school.test']
+    );
+    const [entry] = audit.mock.calls[0].arguments;
+    assert.strictEqual(entry.action, 'student.register');
+    assert.deepStrictEqual(entry.meta, { importedFrom: 'students.csv' });
+    assert.strictEqual(mail.mock.calls[0].arguments[0][0].template, 'welcome');
+  });
+
+  it('needs a name and an email column', async () => {
+    const res = await upload('Name,Phone\nSam,555-0100');
+    const body = await res.json();
+
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(body.details, [
+      { field: 'file', message: 'is missing the email column' },
+    ]);
+  });
+
+  it('refuses files that are not csv', async () => {
+    const res = await upload(CSV, { name: 'students.xlsx' });
+
+    assert.strictEqual(res.status, 415);
+  });
+
+  it('rejects an unknown mode', async () => {
+    const res = await upload(CSV, { mode: 'maybe' });
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).details[0].field, 'mode');
+  });
+});
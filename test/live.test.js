@@ -0,0 +1,153 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { verifyAs, withUsers, listen, cursor } = require('./helpers');
+const { messagesCollection: messages } = require('../lib/db');
+
+const teacher = 'teacher@school.test';
+const student = 'sam@school.test';
+
+describe('live channel', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  // An open /live stream; next(name) resolves with that event's data
+  const connect = async token => {
+    const controller = new AbortController();
+    const res = await fetch(`${api.url()}/live?token=${token}`, {
+      signal: controller.signal,
+    });
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    const next = async name => {
+      for (;;) {
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        for (const [i, raw] of events.entries()) {
+          const event = raw.match(/^event: (.*)$/m)?.[1];
+          if (event === name) {
+            buffer = events.slice(i + 1).join('\n\n') + '\n\n' + buffer;
+            return JSON.parse(raw.match(/^data: (.*)$/m)[1]);
+          }
+        }
+        const { value, done } = await reader.read();
+        if (done) throw new Error(`stream ended before ${name}`);
+        buffer += value;
+      }
+    };
+    return { next, close: () => controller.abort() };
+  };
+
+  const users = () => {
+    withUsers({ [teacher]: 'teacher', [student]: 'student' });
+    mock.method(messages, 'find', () => cursor([]));
+  };
+
+  it('pushes a new message to every open tab of the receiver', async () => {
+    users();
+    mock.method(messages, 'insertOne', async () => ({
+      insertedId: new ObjectId(),
+    }));
+    const delivered = mock.method(messages, 'updateOne', async () => ({}));
+
+    const tabs = [await connect(student), await connect(student)];
+    const sender = await connect(teacher);
+    try {
+      for (const tab of [...tabs, sender]) await tab.next('ready');
+
+      const res = await api.request('POST', '/messages', {
+        token: teacher,
+        body: {
+          senderEmail: teacher,
+          receiverEmail: student,
+          message: 'Hello',
+        },
+      });
+      assert.strictEqual(res.status, 201);
+
+      for (const tab of tabs) {
+        const message = await tab.next('message:new');
+        assert.strictEqual(message.message, 'Hello');
+        assert.strictEqual(message.senderEmail, teacher);
+      }
+      const receipt = await sender.next('message:delivered');
+      assert.strictEqual(receipt.receiverEmail, student);
+      assert.ok(res.body.message.deliveredAt);
+      assert.strictEqual(delivered.mock.callCount(), 1);
+    } finally {
+      [...tabs, sender].forEach(tab => tab.close());
+    }
+  });
+
+  it('leaves a message undelivered while the receiver is offline', async () => {
+    users();
+    mock.method(messages, 'insertOne', async () => ({
+      insertedId: new ObjectId(),
+    }));
+    const delivered = mock.method(messages, 'updateOne', async () => ({}));
+
+    const res = await api.request('POST', '/messages', {
+      token: teacher,
+      body: { senderEmail: teacher, receiverEmail: student, message: 'Hi' },
+    });
+
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.message.deliveredAt, null);
+    assert.strictEqual(delivered.mock.callCount(), 0);
+  });
+
+  it('sends read receipts back to the partner', async () => {
+    users();
+    const read = mock.method(messages, 'updateMany', async () => ({
+      modifiedCount: 2,
+    }));
+
+    const partner = await connect(teacher);
+    try {
+      await partner.next('ready');
+      const res = await api.request('PUT', `/conversations/${teacher}/read`, {
+        token: student,
+      });
+
+      assert.strictEqual(res.body.modifiedCount, 2);
+      const [filter] = read.mock.calls[0].arguments;
+      assert.strictEqual(filter.senderEmail, teacher);
+      assert.strictEqual(filter.receiverEmail, student);
+      const receipt = await partner.next('messages:read');
+      assert.strictEqual(receipt.readerEmail, student);
+    } finally {
+      partner.close();
+    }
+  });
+
+  it('tells the receiver someone is typing', async () => {
+    users();
+
+    const receiver = await connect(student);
+    try {
+      await receiver.next('ready');
+      const res = await api.request('POST', '/typing', {
+        token: teacher,
+        body: { receiverEmail: student, isTyping: true },
+      });
+
+      assert.strictEqual(res.body.delivered, true);
+      assert.deepStrictEqual(await receiver.next('typing'), {
+        senderEmail: teacher,
+        isTyping: true,
+      });
+    } finally {
+      receiver.close();
+    }
+  });
+
+  it('refuses a connection without a valid token', async () => {
+    const res = await fetch(`${api.url()}/live?token=nope`);
+    assert.strictEqual(res.status, 401);
+  });
+});
@@ -0,0 +1,204 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { verifyAs, withUsers, listen } = require('./helpers');
+const db = require('../lib/db');
+const { renderMail, enqueueMail, processMailQueue } = require('../lib/mail');
+
+// Lets a kicked queue run (and finish) before mocks are restored
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('mail queue', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('escapes data in the html body only', () => {
+    const mail = renderMail('announcement', {
+      title: 'Labs <b>moved</b>',
+      message: 'Room 4\n\nBring laptops',
+    });
+
+    assert.strictEqual(mail.subject, 'Announcement: Labs <b>moved</b>');
+    assert.match(mail.text, /^Labs <b>moved<\/b>\n\nRoom 4\n\nBring laptops/);
+    assert.match(mail.html, /<h2>Labs &lt;b&gt;moved&lt;\/b&gt;<\/h2>/);
+    assert.match(mail.html, /<p>Room 4<\/p>\s*<p>Bring laptops<\/p>/);
+  });
+
+  it('queues one pending job per distinct recipient', async () => {
+    const insert = mock.method(
+      db.mailQueueCollection,
+      'insertMany',
+      async () => ({})
+    );
+    mock.method(db.mailQueueCollection, 'findOneAndUpdate', async () => null);
+
+    const queued = await enqueueMail(
+      ['Sam@School.test', 'sam@school.test', '', 'tara@school.test'],
+      'teacherRequestRejected',
+      { name: 'Sam' }
+    );
+    await tick();
+
+    assert.strictEqual(queued, 2);
+    const [jobs] = insert.mock.calls[0].arguments;
+    assert.deepStrictEqual(
+      jobs.map(job => [job.to, job.status, job.attempts]),
+      [
+        ['sam@school.test', 'pending', 0],
+        ['tara@school.test', 'pending', 0],
+      ]
+    );
+    assert.strictEqual(
+      jobs[0].subject,
+      'Your teacher request was not approved'
+    );
+  });
+
+  it('queues nothing without recipients', async () => {
+    const insert = mock.method(db.mailQueueCollection, 'insertMany');
+
+    assert.strictEqual(await enqueueMail([], 'welcome', {}), 0);
+    assert.strictEqual(insert.mock.callCount(), 0);
+  });
+
+  // Claims the given jobs one by one, then reports the queue empty.
+  // Tests use the console transport, so console.log is the send.
+  const run = async (jobs, send = async () => {}) => {
+    mock.method(console, 'log', send);
+    const claim = mock.method(
+      db.mailQueueCollection,
+      'findOneAndUpdate',
+      async () => jobs.shift() || null
+    );
+    const update = mock.method(
+      db.mailQueueCollection,
+      'updateOne',
+      async () => ({})
+    );
+    await processMailQueue();
+    return { claim, updates: update.mock.calls.map(c => c.arguments[1]) };
+  };
+
+  const job = attempts => ({
+    _id: new ObjectId(),
+    to: 'sam@school.test',
+    subject: 'Hi',
+    text: 'Hi',
+    html: '<p>Hi</p>',
+    attempts,
+  });
+
+  it('claims due jobs and marks them sent', async () => {
+    const { claim, updates } = await run([job(1), job(1)]);
+
+    assert.strictEqual(claim.mock.callCount(), 3);
+    const [filter, change] = claim.mock.calls[0].arguments;
+    assert.deepStrictEqual(
+      filter.$or.map(f => f.status),
+      ['pending', 'sending']
+    );
+    assert.deepStrictEqual(change.$inc, { attempts: 1 });
+    assert.deepStrictEqual(
+      updates.map(u => u.$set.status),
+      ['sent', 'sent']
+    );
+  });
+
+  it('backs off after a failed send', async () => {
+    const started = Date.now();
+    const { updates } = await run([job(3)], () => {
+      throw new Error('smtp down');
+    });
+
+    const [{ $set }] = updates;
+    assert.strictEqual($set.status, 'pending');
+    assert.strictEqual($set.lastError, 'smtp down');
+    // Third attempt: wait 4 minutes
+    const wait = $set.nextAttemptAt - started;
+    assert.ok(wait >= 4 * 60 * 1000 && wait < 4 * 60 * 1000 + 5000, wait);
+  });
+
+  it('gives up after the last attempt', async () => {
+    const { updates } = await run([job(5)], () => {
+      throw new Error('mailbox full');
+    });
+
+    assert.strictEqual(updates[0].$set.status, 'failed');
+  });
+});
+
+describe('announcement emails', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const admin = 'admin@school.test';
+
+  it('queues a live announcement for its audience once', async () => {
+    withUsers({ [admin]: 'admin' });
+    mock.method(db.auditLogCollection, 'insertOne', async () => ({}));
+    const announcement = {
+      _id: new ObjectId(),
+      title: 'Exams',
+      message: 'Next week',
+      audience: { type: 'students' },
+    };
+    mock.method(db.announcementsCollection, 'insertOne', async () => ({
+      insertedId: announcement._id,
+    }));
+    const claims = [announcement];
+    const claim = mock.method(
+      db.announcementsCollection,
+      'findOneAndUpdate',
+      async () => claims.shift() || null
+    );
+    const recipients = mock.method(db.usersCollection, 'distinct', async () => [
+      'sam@school.test',
+      'tara@school.test',
+    ]);
+    const insert = mock.method(
+      db.mailQueueCollection,
+      'insertMany',
+      async () => ({})
+    );
+    let drained;
+    const empty = new Promise(resolve => (drained = resolve));
+    mock.method(db.mailQueueCollection, 'findOneAndUpdate', async () => {
+      drained();
+      return null;
+    });
+
+    const res = await api.request('POST', '/admin/announcements', {
+      token: admin,
+      body: {
+        title: 'Exams',
+        message: 'Next week',
+        audience: { type: 'students' },
+      },
+    });
+    await empty;
+    await tick();
+
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.message, 'Announcement sent');
+    // Claimed by flipping emailedAt, so a second worker skips it
+    const [filter, change] = claim.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter.emailedAt, { $type: 'null' });
+    assert.ok(change.$set.emailedAt instanceof Date);
+    assert.deepStrictEqual(recipients.mock.calls[0].arguments, [
+      'email',
+      { role: { $in: ['student'] } },
+    ]);
+    const [jobs] = insert.mock.calls[0].arguments;
+    assert.deepStrictEqual(
+      jobs.map(j => [j.to, j.template]),
+      [
+        ['sam@school.test', 'announcement'],
+        ['tara@school.test', 'announcement'],
+      ]
+    );
+  });
+});
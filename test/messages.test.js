@@ -0,0 +1,123 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { verifyAs, withUsers, listen, cursor } = require('./helpers');
+const { messagesCollection: messages } = require('../lib/db');
+
+const teacher = 'teacher@school.test';
+const student = 'sam@school.test';
+
+describe('chat history', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  // Newest first, as the route asks for them
+  const ids = [3, 2, 1].map(
+    n => new ObjectId(n.toString(16).padStart(24, '0'))
+  );
+  const history = docs => {
+    withUsers({ [teacher]: 'teacher', [student]: 'student' });
+    const page = cursor(docs);
+    const limit = mock.method(page, 'limit');
+    const find = mock.method(messages, 'find', () => page);
+    return { find, limit };
+  };
+
+  it('returns a page oldest first with a cursor to the next one', async () => {
+    const { find, limit } = history(ids.map(_id => ({ _id })));
+
+    const res = await api.request(
+      'GET',
+      `/messages/${student}/${teacher}?limit=2`,
+      { token: student }
+    );
+
+    assert.strictEqual(res.status, 200);
+    // One extra row tells whether an older page exists
+    assert.strictEqual(limit.mock.calls[0].arguments[0], 3);
+    assert.deepStrictEqual(
+      res.body.messages.map(m => m._id),
+      [ids[1], ids[0]].map(String)
+    );
+    assert.strictEqual(res.body.hasMore, true);
+    assert.strictEqual(res.body.nextBefore, String(ids[1]));
+    assert.strictEqual(find.mock.calls[0].arguments[0]._id, undefined);
+  });
+
+  it('loads the page before a cursor', async () => {
+    const { find } = history([{ _id: ids[2] }]);
+
+    const res = await api.request(
+      'GET',
+      `/messages/${student}/${teacher}?before=${ids[1]}`,
+      { token: student }
+    );
+
+    assert.strictEqual(res.body.hasMore, false);
+    assert.strictEqual(res.body.nextBefore, null);
+    assert.deepStrictEqual(find.mock.calls[0].arguments[0]._id, {
+      $lt: ids[1],
+    });
+  });
+
+  it('rejects a malformed cursor', async () => {
+    const { find } = history([]);
+
+    const res = await api.request(
+      'GET',
+      `/messages/${student}/${teacher}?before=yesterday`,
+      { token: student }
+    );
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(find.mock.callCount(), 0);
+  });
+
+  it('is closed to people outside the conversation', async () => {
+    const { find } = history([]);
+
+    const res = await api.request('GET', `/messages/${student}/${teacher}`, {
+      token: 'other@school.test',
+    });
+
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(find.mock.callCount(), 0);
+  });
+});
+
+describe('conversation list', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  it('groups by partner, counting what the caller has not read', async () => {
+    withUsers({ [student]: 'student' });
+    const rows = [
+      { name: 'Tara', email: teacher, lastMessage: 'See you', unreadCount: 2 },
+    ];
+    const aggregate = mock.method(messages, 'aggregate', () => cursor(rows));
+
+    const res = await api.request('GET', `/conversations/${student}`, {
+      token: student,
+    });
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, rows);
+    const [pipeline] = aggregate.mock.calls[0].arguments;
+    const group = pipeline.find(stage => stage.$group).$group;
+    assert.deepStrictEqual(group.unreadCount.$sum.$cond[0].$and[0], {
+      $eq: ['$receiverEmail', student],
+    });
+    // Most recent conversation first
+    assert.deepStrictEqual(pipeline[3], { $sort: { lastTime: -1 } });
+  });
+});
@@ -0,0 +1,172 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { verifyAs, withUsers, listen, cursor } = require('./helpers');
+const db = require('../lib/db');
+
+const admin = 'admin@school.test';
+const student = 'sam@school.test';
+
+// Resolves once the spy has been called `count` times
+const calledTimes = async (spy, count) => {
+  while (spy.mock.callCount() < count) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+describe('notification feed', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  it('pages notifications newest first', async () => {
+    withUsers({ [student]: 'student' });
+    const page = [3, 2, 1].map(() => ({ _id: new ObjectId(), readAt: null }));
+    const find = mock.method(db.notificationsCollection, 'find', () =>
+      cursor(page)
+    );
+    mock.method(db.notificationsCollection, 'countDocuments', async () => 7);
+    const before = new ObjectId();
+
+    const res = await api.request(
+      'GET',
+      `/notifications?unread=true&before=${before}&limit=2`,
+      { token: student }
+    );
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(find.mock.calls[0].arguments[0], {
+      email: student,
+      readAt: null,
+      _id: { $lt: before },
+    });
+    assert.strictEqual(res.body.notifications.length, 2);
+    assert.strictEqual(res.body.unread, 7);
+    assert.strictEqual(res.body.nextBefore, String(page[1]._id));
+  });
+
+  it('does not mark a notification for someone else', async () => {
+    withUsers({ [student]: 'student' });
+    const update = mock.method(
+      db.notificationsCollection,
+      'findOneAndUpdate',
+      async () => null
+    );
+    const id = new ObjectId();
+
+    const res = await api.request('PUT', `/notifications/${id}/read`, {
+      token: student,
+    });
+
+    assert.strictEqual(res.status, 404);
+    assert.deepStrictEqual(update.mock.calls[0].arguments[0], {
+      _id: id,
+      email: student,
+    });
+  });
+
+  it('has every type on until it is turned off', async () => {
+    mock.method(db.usersCollection, 'findOne', async ({ email }) => ({
+      email,
+      role: 'student',
+      notificationPreferences: { 'video.published': false },
+    }));
+
+    const res = await api.request('GET', '/notifications/preferences', {
+      token: student,
+    });
+
+    assert.deepStrictEqual(res.body, {
+      'submission.reviewed': true,
+      'teacherRequest.approved': true,
+      'teacherRequest.rejected': true,
+      'video.published': false,
+    });
+  });
+
+  it('only saves known notification types', async () => {
+    withUsers({ [student]: 'student' });
+    const save = mock.method(db.usersCollection, 'findOneAndUpdate');
+
+    const res = await api.request('PUT', '/notifications/preferences', {
+      token: student,
+      body: { 'chat.message': false },
+    });
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(save.mock.callCount(), 0);
+  });
+});
+
+describe('notification delivery', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  it('skips a student who turned the type off', async () => {
+    const submission = {
+      _id: new ObjectId(),
+      assignmentId: String(new ObjectId()),
+      studentEmail: student,
+      studentName: 'Sam',
+      status: 'submitted',
+    };
+    withUsers({ [admin]: 'admin' });
+    const optedOut = mock.method(db.usersCollection, 'find', () =>
+      cursor([{ email: student }])
+    );
+    mock.method(db.auditLogCollection, 'insertOne', async () => ({}));
+    mock.method(
+      db.assignmentSubmissionsCollection,
+      'findOne',
+      async () => submission
+    );
+    mock.method(
+      db.assignmentSubmissionsCollection,
+      'findOneAndUpdate',
+      async () => submission
+    );
+    mock.method(db.assignmentsCollection, 'findOne', async () => ({
+      title: 'Loops',
+    }));
+    const notifications = mock.method(
+      db.notificationsCollection,
+      'insertMany',
+      async () => ({})
+    );
+    const mail = mock.method(
+      db.mailQueueCollection,
+      'insertMany',
+      async () => ({})
+    );
+    const claim = mock.method(
+      db.mailQueueCollection,
+      'findOneAndUpdate',
+      async () => null
+    );
+
+    const res = await api.request(
+      'PUT',
+      `/admin/assignments/${submission._id}/status`,
+      { token: admin, body: { status: 'reviewed' } }
+    );
+
+    assert.strictEqual(res.status, 200);
+    await calledTimes(optedOut, 1);
+    await calledTimes(mail, 1);
+    await calledTimes(claim, 1);
+    assert.deepStrictEqual(optedOut.mock.calls[0].arguments[0], {
+      email: { $in: [student] },
+      'notificationPreferences.submission.reviewed': false,
+    });
+    assert.strictEqual(notifications.mock.callCount(), 0);
+  });
+});
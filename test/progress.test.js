@@ -0,0 +1,164 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { verifyAs, withUsers, listen, cursor } = require('./helpers');
+const db = require('../lib/db');
+
+const student = 'sam@school.test';
+
+// Just enough of the aggregation language for the progress update
+const evaluate = (expr, doc) => {
+  if (typeof expr === 'string' && expr.startsWith('$'))
+    return doc[expr.slice(1)];
+  if (!expr || typeof expr !== 'object' || expr instanceof Date) return expr;
+  const [[op, args]] = Object.entries(expr);
+  const [a, b, c] = args.map(arg => evaluate(arg, doc));
+  switch (op) {
+    case '$max':
+      return Math.max(a, b);
+    case '$ifNull':
+      return a ?? b ?? null;
+    case '$cond':
+      return a ? b : c;
+    case '$gte':
+      return a >= b;
+    case '$multiply':
+      return a * b;
+    case '$ne':
+      return a !== b;
+  }
+  throw new Error(`Unsupported operator ${op}`);
+};
+
+const applyUpdate = (doc, stages) =>
+  stages.reduce(
+    (current, { $set }) => ({
+      ...current,
+      ...Object.fromEntries(
+        Object.entries($set).map(([field, expr]) => [
+          field,
+          evaluate(expr, current),
+        ])
+      ),
+    }),
+    doc
+  );
+
+describe('watch progress', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const video = {
+    _id: new ObjectId(),
+    language: 'JavaScript',
+    title: 'Loops',
+  };
+
+  // One stored progress document, updated the way Mongo would
+  const watching = ({ enrolled = true, stored = null } = {}) => {
+    withUsers({ [student]: 'student' });
+    mock.method(db.videosCollection, 'findOne', async () => video);
+    mock.method(db.enrolledCoursesCollection, 'find', () =>
+      cursor(enrolled ? [{ language: video.language }] : [])
+    );
+    let progress = stored;
+    const update = mock.method(
+      db.videoProgressCollection,
+      'findOneAndUpdate',
+      async (filter, stages) => {
+        progress = applyUpdate(progress || { ...filter }, stages);
+        return progress;
+      }
+    );
+    const beat = body =>
+      api.request('PUT', `/student/videos/${video._id}/progress`, {
+        token: student,
+        body,
+      });
+    return { update, beat };
+  };
+
+  it('tracks the furthest point and completes at 90%', async () => {
+    const { update, beat } = watching();
+
+    const first = await beat({ position: 120, duration: 600 });
+    assert.strictEqual(first.status, 200);
+    assert.deepStrictEqual(
+      [first.body.position, first.body.percent, first.body.completed],
+      [120, 20, false]
+    );
+
+    const done = await beat({ position: 550, duration: 600 });
+    assert.strictEqual(done.body.completed, true);
+    assert.ok(done.body.completedAt);
+
+    // Rewinding keeps both the furthest point and the completion
+    const rewound = await beat({ position: 30, duration: 600 });
+    assert.deepStrictEqual(
+      [rewound.body.position, rewound.body.maxPosition, rewound.body.completed],
+      [30, 550, true]
+    );
+    assert.strictEqual(rewound.body.completedAt, done.body.completedAt);
+
+    const [filter, , options] = update.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, {
+      videoId: video._id,
+      studentEmail: student,
+    });
+    assert.strictEqual(options.upsert, true);
+  });
+
+  it('clamps a position past the end and restarts near it', async () => {
+    const { beat } = watching();
+
+    const res = await beat({ position: 700, duration: 600 });
+
+    assert.deepStrictEqual(
+      [res.body.position, res.body.percent, res.body.resumePosition],
+      [600, 100, 0]
+    );
+  });
+
+  it('only records videos the student may watch', async () => {
+    const { update, beat } = watching({ enrolled: false });
+
+    const res = await beat({ position: 10, duration: 600 });
+
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(update.mock.callCount(), 0);
+  });
+
+  it('needs a positive duration', async () => {
+    const { update, beat } = watching();
+
+    const res = await beat({ position: 10, duration: 0 });
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.details[0].field, 'duration');
+    assert.strictEqual(update.mock.callCount(), 0);
+  });
+
+  it('resumes from zero when never watched', async () => {
+    withUsers({ [student]: 'student' });
+    mock.method(db.videoProgressCollection, 'findOne', async () => null);
+
+    const res = await api.request(
+      'GET',
+      `/student/videos/${video._id}/progress`,
+      { token: student }
+    );
+
+    assert.deepStrictEqual(res.body, {
+      videoId: String(video._id),
+      position: 0,
+      resumePosition: 0,
+      percent: 0,
+      completed: false,
+    });
+  });
+});
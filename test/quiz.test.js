@@ -0,0 +1,212 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { server, verifyAs, withUsers, listen } = require('./helpers');
+
+const { normalizeQuiz, gradeQuizAttempt, mergeQuizAnswers, canSeeAnswers } =
+  server;
+
+const { quiz } = normalizeQuiz({
+  kind: 'quiz',
+  title: 'Basics',
+  maxAttempts: 2,
+  questions: [
+    {
+      id: 'q1',
+      type: 'multiple-choice',
+      prompt: 'Pick b',
+      points: 2,
+      options: ['a', 'b', 'c'],
+      answer: '2',
+    },
+    {
+      id: 'q2',
+      type: 'multi-select',
+      prompt: 'Pick a and c',
+      options: ['a', 'b', 'c'],
+      answer: ['1', '3'],
+    },
+    { id: 'q3', type: 'true-false', prompt: 'True?', answer: true },
+    {
+      id: 'q4',
+      type: 'short-answer',
+      prompt: 'Capital of France',
+      answer: ['Paris'],
+    },
+  ],
+});
+
+describe('quiz grading', () => {
+  it('normalizes questions and totals the points', () => {
+    assert.strictEqual(quiz.totalPoints, 5);
+    assert.deepStrictEqual(
+      quiz.questions[0].options.map(o => o.id),
+      ['1', '2', '3']
+    );
+  });
+
+  it('rejects answers that reference missing options', () => {
+    const { errors } = normalizeQuiz({
+      kind: 'quiz',
+      title: 'Broken',
+      questions: [
+        {
+          type: 'multiple-choice',
+          prompt: 'Pick',
+          options: ['a', 'b'],
+          answer: '9',
+        },
+      ],
+    });
+    assert.deepStrictEqual(
+      errors.map(e => e.field),
+      ['questions.0.answer']
+    );
+  });
+
+  it('awards full marks for correct answers of every type', () => {
+    const grade = gradeQuizAttempt(quiz, [
+      { questionId: 'q1', response: '2' },
+      { questionId: 'q2', response: ['3', '1'] },
+      { questionId: 'q3', response: 'true' },
+      { questionId: 'q4', response: '  paris ' },
+    ]);
+    assert.strictEqual(grade.score, 5);
+    assert.strictEqual(grade.percentage, 100);
+  });
+
+  it('gives nothing for wrong, partial or missing answers', () => {
+    const grade = gradeQuizAttempt(quiz, [
+      { questionId: 'q1', response: '1' },
+      { questionId: 'q2', response: ['1'] },
+      { questionId: 'q4', response: 'Lyon' },
+    ]);
+    assert.strictEqual(grade.score, 0);
+    assert.strictEqual(grade.maxScore, 5);
+    assert.ok(grade.results.every(r => r.pointsAwarded === 0));
+  });
+
+  it('merges object and array answers, ignoring unknown questions', () => {
+    const saved = [{ questionId: 'q1', response: '1' }];
+    assert.deepStrictEqual(
+      mergeQuizAnswers(quiz, saved, { q1: '2', nope: 'x' }),
+      [{ questionId: 'q1', response: '2' }]
+    );
+    assert.deepStrictEqual(
+      mergeQuizAnswers(quiz, saved, [{ questionId: 'q3', response: false }]),
+      [
+        { questionId: 'q1', response: '1' },
+        { questionId: 'q3', response: false },
+      ]
+    );
+  });
+
+  it('reveals answers only once attempts are used up', () => {
+    assert.strictEqual(canSeeAnswers(quiz, 1), false);
+    assert.strictEqual(canSeeAnswers(quiz, 2), true);
+    assert.strictEqual(canSeeAnswers({ ...quiz, maxAttempts: null }, 9), false);
+  });
+});
+
+describe('quiz attempts', () => {
+  let api;
+  const stored = { ...quiz, _id: new ObjectId() };
+  const token = 'sam@school.test';
+
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const submit = async used => {
+    withUsers({ [token]: 'student' });
+    const attempt = {
+      _id: new ObjectId(),
+      quizId: stored._id,
+      studentEmail: token,
+      status: 'in-progress',
+      answers: [],
+    };
+    mock.method(server.quizAttemptsCollection, 'findOne', async () => attempt);
+    mock.method(server.quizzesTasksCollection, 'findOne', async () => stored);
+    mock.method(
+      server.quizAttemptsCollection,
+      'findOneAndUpdate',
+      async (filter, { $set }) => ({ ...attempt, ...$set })
+    );
+    mock.method(
+      server.quizAttemptsCollection,
+      'countDocuments',
+      async () => used
+    );
+    return api.request('POST', `/quizzes/attempts/${attempt._id}/submit`, {
+      token,
+      body: {},
+    });
+  };
+
+  it('hides the answer key while retries remain', async () => {
+    const res = await submit(1);
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.quiz.questions.every(q => !('answer' in q)));
+  });
+
+  it('shows the answer key after the last attempt', async () => {
+    const res = await submit(2);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.quiz.questions[0].answer, '2');
+  });
+
+  it('saves answers sent as a list of { questionId, response }', async () => {
+    withUsers({ [token]: 'student' });
+    const attempt = {
+      _id: new ObjectId(),
+      quizId: stored._id,
+      studentEmail: token,
+      status: 'in-progress',
+      answers: [],
+    };
+    mock.method(server.quizAttemptsCollection, 'findOne', async () => attempt);
+    mock.method(server.quizzesTasksCollection, 'findOne', async () => stored);
+    mock.method(server.quizAttemptsCollection, 'updateOne', async () => ({}));
+
+    const url = `/quizzes/attempts/${attempt._id}/answers`;
+    let res = await api.request('PUT', url, {
+      token,
+      body: { answers: [{ questionId: 'q1', response: '2' }] },
+    });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.answers, [
+      { questionId: 'q1', response: '2' },
+    ]);
+
+    res = await api.request('PUT', url, {
+      token,
+      body: { answers: [{ response: '2' }] },
+    });
+    assert.strictEqual(res.status, 400);
+  });
+
+  it('resumes the open attempt when a parallel start wins the insert', async () => {
+    withUsers({ [token]: 'student' });
+    const open = { _id: new ObjectId(), status: 'in-progress', answers: [] };
+    const lookups = [null, open];
+    mock.method(server.quizzesTasksCollection, 'findOne', async () => stored);
+    mock.method(server.quizAttemptsCollection, 'findOne', async () =>
+      lookups.shift()
+    );
+    mock.method(server.quizAttemptsCollection, 'countDocuments', async () => 0);
+    mock.method(server.quizAttemptsCollection, 'insertOne', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+
+    const res = await api.request('POST', `/quizzes/${stored._id}/attempts`, {
+      token,
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.attempt._id, String(open._id));
+    assert.ok(res.body.quiz.questions.every(q => !('answer' in q)));
+  });
+});
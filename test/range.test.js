@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { server } = require('./helpers');
+
+const { parseRange } = server;
+
+describe('range parser', () => {
+  it('returns null when no range was asked for', () => {
+    assert.strictEqual(parseRange(undefined, 100), null);
+    assert.strictEqual(parseRange('', 100), null);
+  });
+
+  it('reads closed, open-ended and suffix ranges', () => {
+    assert.deepStrictEqual(parseRange('bytes=0-9', 100), { start: 0, end: 9 });
+    assert.deepStrictEqual(parseRange('bytes=90-', 100), {
+      start: 90,
+      end: 99,
+    });
+    assert.deepStrictEqual(parseRange('bytes=-10', 100), {
+      start: 90,
+      end: 99,
+    });
+  });
+
+  it('clamps ranges that run past the end', () => {
+    assert.deepStrictEqual(parseRange('bytes=50-500', 100), {
+      start: 50,
+      end: 99,
+    });
+    assert.deepStrictEqual(parseRange('bytes=-500', 100), {
+      start: 0,
+      end: 99,
+    });
+  });
+
+  it('rejects malformed and unsatisfiable ranges', () => {
+    for (const header of [
+      'bytes=-',
+      'items=0-9',
+      'bytes=0-9,20-29',
+      'bytes=9-0',
+      'bytes=100-',
+      'bytes=-0',
+    ]) {
+      assert.strictEqual(parseRange(header, 100), false, header);
+    }
+    assert.strictEqual(parseRange('bytes=0-', 0), false);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { server, fakeSessions } = require('./helpers');
+
+const { rollScopeOf, registerStudent } = server;
+
+// Counters kept in memory, keyed like the counters collection
+const fakeCounters = () => {
+  const seqs = new Map();
+  mock.method(
+    server.countersCollection,
+    'findOneAndUpdate',
+    async ({ _id }) => {
+      seqs.set(_id, (seqs.get(_id) || 0) + 1);
+      return { _id, seq: seqs.get(_id) };
+    }
+  );
+  mock.method(
+    server.countersCollection,
+    'updateOne',
+    async ({ _id }, { $max }) => {
+      seqs.set(_id, Math.max(seqs.get(_id) || 0, $max.seq));
+    }
+  );
+  return seqs;
+};
+
+// Students in memory, failing inserts on a roll already taken in the scope
+const fakeStudents = (existing = []) => {
+  const students = [...existing];
+  const sameScope = (a, b) =>
+    a.academicYear === b.academicYear &&
+    a.className === b.className &&
+    a.section === b.section;
+
+  mock.method(server.studentsCollection, 'insertOne', async doc => {
+    if (students.some(s => sameScope(s, doc) && s.roll === doc.roll)) {
+      throw Object.assign(new Error('E11000 duplicate key'), {
+        code: 11000,
+        keyPattern: { academicYear: 1, className: 1, section: 1, roll: 1 },
+      });
+    }
+    students.push(doc);
+    return { insertedId: students.length };
+  });
+  mock.method(server.studentsCollection, 'find', scope => {
+    const top = students
+      .filter(s => sameScope(s, scope))
+      .sort((a, b) => b.roll - a.roll)
+      .slice(0, 1);
+    const chain = {
+      sort: () => chain,
+      limit: () => chain,
+      project: () => chain,
+      toArray: async () => top,
+    };
+    return chain;
+  });
+  return students;
+};
+
+describe('roll allocation', () => {
+  beforeEach(() =>
+    mock.method(server.usersCollection, 'insertOne', async () => ({
+      insertedId: 'user',
+    }))
+  );
+  afterEach(() => mock.restoreAll());
+
+  const register = data => registerStudent({ name: 'Sam', ...data });
+
+  it('fills in the default scope', () => {
+    assert.deepStrictEqual(rollScopeOf({ className: 7 }), {
+      academicYear: String(new Date().getFullYear()),
+      className: '7',
+      section: 'A',
+    });
+  });
+
+  it('numbers rolls per scope and stores the normalized email', async () => {
+    fakeSessions();
+    fakeCounters();
+    const students = fakeStudents();
+    const scope = { academicYear: '2026', className: '7' };
+
+    const a = await register({ ...scope, email: ' Sam@School.TEST ' });
+    const b = await register({ ...scope, email: 'alex@school.test' });
+    const c = await register({
+      ...scope,
+      section: 'B',
+      email: 'kim@school.test',
+    });
+
+    assert.deepStrictEqual([a.roll, b.roll, c.roll], [1, 2, 1]);
+    assert.strictEqual(students[0].email, 'sam@school.test');
+    const [userDoc] = server.usersCollection.insertOne.mock.calls[0].arguments;
+    assert.strictEqual(userDoc.email, 'sam@school.test');
+  });
+
+  it('resyncs a counter that fell behind the data and retries', async () => {
+    fakeSessions();
+    const seqs = fakeCounters();
+    const scope = { academicYear: '2026', className: '7', section: 'A' };
+    fakeStudents([
+      { ...scope, roll: 1 },
+      { ...scope, roll: 2 },
+    ]);
+
+    const { roll } = await register({ ...scope, email: 'new@school.test' });
+    assert.strictEqual(roll, 3);
+    assert.strictEqual(seqs.get('roll:2026:7:A'), 3);
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { verifyAs, withUsers, listen, cursor } = require('./helpers');
+const db = require('../lib/db');
+const { SEARCH_MAX_RESULTS } = require('../lib/search');
+
+const admin = 'admin@school.test';
+const student = 'sam@school.test';
+
+const collections = {
+  videos: db.videosCollection,
+  assignments: db.assignmentsCollection,
+  announcements: db.announcementsCollection,
+  students: db.studentsCollection,
+  teachers: db.teachersCollection,
+};
+
+describe('search', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  // Each type answers with hits scored as given and the same total
+  const searchAs = (email, scores = {}, total = 10) => {
+    withUsers({ [admin]: 'admin', [student]: 'student' });
+    mock.method(db.enrolledCoursesCollection, 'find', () => cursor([]));
+    const finds = {};
+    for (const [type, collection] of Object.entries(collections)) {
+      finds[type] = mock.method(collection, 'find', () =>
+        cursor(
+          (scores[type] || []).map(score => ({
+            _id: new ObjectId(),
+            title: `${type} ${score}`,
+            score,
+          }))
+        )
+      );
+      mock.method(collection, 'countDocuments', async () => total);
+    }
+    return {
+      finds,
+      get: query => api.request('GET', `/search?${query}`, { token: email }),
+    };
+  };
+
+  it('merges every type by score and pages the result', async () => {
+    const { get } = searchAs(student, {
+      videos: [9, 4, 1],
+      assignments: [7, 3],
+      announcements: [5],
+    });
+
+    const res = await get('q=loops&page=2&limit=2');
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(
+      res.body.results.map(r => [r.type, r.score]),
+      [
+        ['announcements', 5],
+        ['videos', 4],
+      ]
+    );
+    assert.strictEqual(res.body.total, 30);
+    assert.deepStrictEqual(res.body.totals, {
+      videos: 10,
+      assignments: 10,
+      announcements: 10,
+    });
+    assert.strictEqual(res.body.hasMore, true);
+  });
+
+  it('keeps people out of a student search', async () => {
+    const { finds, get } = searchAs(student);
+
+    const res = await get('q=sam');
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(finds.students.mock.callCount(), 0);
+    assert.strictEqual(finds.teachers.mock.callCount(), 0);
+    // Students only find live announcements meant for them
+    const [filter] = finds.announcements.mock.calls[0].arguments;
+    assert.ok(filter.$and);
+    assert.strictEqual((await get('q=sam&type=students')).status, 403);
+  });
+
+  it('lets admins search people and every announcement', async () => {
+    const { finds, get } = searchAs(admin, { students: [2] });
+
+    const res = await get('q=sam');
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.results[0].type, 'students');
+    assert.deepStrictEqual(finds.announcements.mock.calls[0].arguments[0], {
+      $text: { $search: 'sam' },
+    });
+  });
+
+  it('limits a language search to types with a language', async () => {
+    const { finds, get } = searchAs(admin);
+
+    const res = await get('q=loops&language=Python');
+
+    assert.deepStrictEqual(Object.keys(res.body.totals), [
+      'videos',
+      'assignments',
+      'announcements',
+    ]);
+    assert.strictEqual(
+      finds.videos.mock.calls[0].arguments[0].language,
+      'Python'
+    );
+    assert.strictEqual(
+      finds.announcements.mock.calls[0].arguments[0]['audience.language'],
+      'Python'
+    );
+  });
+
+  it('stops paging at the result cap', async () => {
+    const { finds, get } = searchAs(student);
+
+    const res = await get(
+      `q=loops&page=${SEARCH_MAX_RESULTS / 10 + 1}&limit=10`
+    );
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.details[0].field, 'page');
+    assert.strictEqual(finds.videos.mock.callCount(), 0);
+  });
+
+  it('has no more once the cap is reached', async () => {
+    const { get } = searchAs(admin, {}, SEARCH_MAX_RESULTS);
+
+    const res = await get(`q=loops&page=${SEARCH_MAX_RESULTS / 10}&limit=10`);
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.hasMore, false);
+  });
+});
@@ -0,0 +1,193 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { S3Client } = require('@aws-sdk/client-s3');
+const {
+  contentTypeFor,
+  createLocalStorage,
+  createS3Storage,
+  createFileStorage,
+} = require('../lib/storage');
+
+const readAll = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('local storage', () => {
+  let dir;
+  let storage;
+  before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    storage = createLocalStorage(path.join(dir, 'uploads'));
+  });
+  after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  const upload = async (key, text) => {
+    const source = path.join(dir, `${Date.now()}-${path.basename(key)}`);
+    await fs.promises.writeFile(source, text);
+    await storage.put(key, source);
+    return source;
+  };
+
+  it('moves an upload under its key and reads it back', async () => {
+    const source = await upload('videos/intro.mp4', '0123456789');
+
+    assert.strictEqual(fs.existsSync(source), false);
+    const stat = await storage.stat('videos/intro.mp4');
+    assert.strictEqual(stat.size, 10);
+    assert.strictEqual(stat.contentType, 'video/mp4');
+    const part = await storage.createReadStream('videos/intro.mp4', {
+      start: 2,
+      end: 5,
+    });
+    assert.strictEqual(await readAll(part), '2345');
+  });
+
+  it('lists, removes and removes by prefix', async () => {
+    await upload('hls/abc/index.m3u8', '#EXTM3U');
+    await upload('hls/abc/seg-0.ts', 'ts');
+
+    assert.deepStrictEqual((await storage.list('hls')).sort(), [
+      'hls/abc/index.m3u8',
+      'hls/abc/seg-0.ts',
+    ]);
+    await storage.remove('hls/abc/seg-0.ts');
+    assert.deepStrictEqual(await storage.list('hls'), ['hls/abc/index.m3u8']);
+    await storage.removePrefix('hls/abc');
+    assert.deepStrictEqual(await storage.list('hls'), []);
+    assert.deepStrictEqual(await storage.list('missing'), []);
+  });
+
+  it('reports a missing file as null and has no public url', async () => {
+    assert.strictEqual(await storage.stat('videos/nope.mp4'), null);
+    assert.strictEqual(await storage.getUrl('videos/intro.mp4'), null);
+  });
+
+  it('refuses keys that leave its root', async () => {
+    await assert.rejects(storage.stat('../secrets.txt'), /Invalid storage key/);
+  });
+});
+
+describe('s3 storage', () => {
+  afterEach(() => mock.restoreAll());
+
+  const options = {
+    tmpDir: os.tmpdir(),
+    bucket: 'school-mate',
+    region: 'us-east-1',
+    urlExpiresIn: 60,
+  };
+
+  it('needs a bucket', () => {
+    assert.throws(() => createS3Storage({}), /S3_BUCKET/);
+  });
+
+  it('deletes a prefix page by page', async () => {
+    const pages = [
+      { Contents: [{ Key: 'hls/1/a.ts' }], NextContinuationToken: 't' },
+      { Contents: [{ Key: 'hls/1/b.ts' }] },
+    ];
+    const send = mock.method(S3Client.prototype, 'send', async command =>
+      command.constructor.name === 'ListObjectsV2Command' ? pages.shift() : {}
+    );
+
+    await createS3Storage(options).removePrefix('hls/1');
+
+    const sent = send.mock.calls.map(call => call.arguments[0]);
+    assert.deepStrictEqual(
+      sent.map(command => command.constructor.name),
+      [
+        'ListObjectsV2Command',
+        'DeleteObjectsCommand',
+        'ListObjectsV2Command',
+        'DeleteObjectsCommand',
+      ]
+    );
+    assert.strictEqual(sent[0].input.Prefix, 'hls/1/');
+    assert.strictEqual(sent[2].input.ContinuationToken, 't');
+    assert.deepStrictEqual(sent[3].input.Delete.Objects, [
+      { Key: 'hls/1/b.ts' },
+    ]);
+  });
+
+  it('asks for a byte range when streaming part of a file', async () => {
+    const send = mock.method(S3Client.prototype, 'send', async () => ({
+      Body: 'stream',
+    }));
+
+    const body = await createS3Storage(options).createReadStream(
+      'videos/intro.mp4',
+      { start: 100, end: 199 }
+    );
+
+    assert.strictEqual(body, 'stream');
+    const [command] = send.mock.calls[0].arguments;
+    assert.strictEqual(command.input.Range, 'bytes=100-199');
+  });
+
+  it('treats a 404 head as a missing file', async () => {
+    mock.method(S3Client.prototype, 'send', async () => {
+      throw Object.assign(new Error('NotFound'), {
+        $metadata: { httpStatusCode: 404 },
+      });
+    });
+
+    assert.strictEqual(
+      await createS3Storage(options).stat('videos/nope.mp4'),
+      null
+    );
+  });
+
+  it('serves public urls without signing', async () => {
+    const storage = createS3Storage({
+      ...options,
+      publicUrl: 'https://cdn.school.test/',
+    });
+
+    assert.strictEqual(
+      await storage.getUrl('videos/intro.mp4'),
+      'https://cdn.school.test/videos/intro.mp4'
+    );
+  });
+
+  it('signs urls for a private bucket', async () => {
+    const storage = createS3Storage({
+      ...options,
+      accessKeyId: 'key',
+      secretAccessKey: 'secret',
+    });
+
+    const url = new URL(await storage.getUrl('videos/intro.mp4'));
+    assert.strictEqual(url.pathname, '/videos/intro.mp4');
+    assert.strictEqual(url.searchParams.get('X-Amz-Expires'), '60');
+  });
+});
+
+describe('storage selection', () => {
+  it('picks the driver from configuration', () => {
+    const storage = createFileStorage('local', {
+      uploadsDir: os.tmpdir(),
+      tmpDir: os.tmpdir(),
+    });
+    assert.strictEqual(storage.driver, 'local');
+    assert.throws(
+      () => createFileStorage('ftp', {}),
+      /Unknown STORAGE_DRIVER: ftp/
+    );
+  });
+
+  it('types files by extension', () => {
+    assert.strictEqual(
+      contentTypeFor('hls/1/index.m3u8'),
+      'application/vnd.apple.mpegurl'
+    );
+    assert.strictEqual(
+      contentTypeFor('notes.unknown'),
+      'application/octet-stream'
+    );
+  });
+});
@@ -0,0 +1,363 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { server, verifyAs, listen, cursor } = require('./helpers');
+const db = require('../lib/db');
+
+const {
+  latenessOf,
+  saveSubmissionVersion,
+  recomputeLateness,
+  assignmentSubmissionsCollection: submissions,
+} = server;
+
+const HOUR = 60 * 60 * 1000;
+const dueAt = new Date('2026-03-01T12:00:00Z');
+const hoursAfter = hours => new Date(dueAt.getTime() + hours * HOUR);
+
+describe('lateness', () => {
+  const assignment = {
+    dueAt,
+    gracePeriodMinutes: 30,
+    latePenaltyPerDay: 10,
+    latePenaltyMax: 25,
+  };
+
+  it('is on time without a deadline or within the grace period', () => {
+    assert.strictEqual(latenessOf({}, hoursAfter(100)).late, false);
+    assert.deepStrictEqual(latenessOf(assignment, hoursAfter(0.5)), {
+      late: false,
+      daysLate: 0,
+      penaltyPercent: 0,
+    });
+  });
+
+  it('charges per started day past the grace period', () => {
+    assert.deepStrictEqual(latenessOf(assignment, hoursAfter(1)), {
+      late: true,
+      daysLate: 1,
+      penaltyPercent: 10,
+    });
+    assert.strictEqual(latenessOf(assignment, hoursAfter(25)).daysLate, 2);
+  });
+
+  it('caps the penalty at latePenaltyMax', () => {
+    assert.strictEqual(
+      latenessOf(assignment, hoursAfter(24 * 9)).penaltyPercent,
+      25
+    );
+  });
+});
+
+describe('submission versions', () => {
+  afterEach(() => mock.restoreAll());
+
+  const assignment = { _id: new ObjectId() };
+  const entry = {
+    studentEmail: 'sam@school.test',
+    studentName: 'Sam',
+    submissionLink: 'https://example.test/v1',
+    submittedAt: new Date(),
+    ...latenessOf({}, new Date()),
+  };
+
+  it('records version 1 in the same shape as later versions', async () => {
+    mock.method(submissions, 'findOne', async () => null);
+    const insert = mock.method(submissions, 'insertOne', async () => ({
+      insertedId: new ObjectId(),
+    }));
+    const { version } = await saveSubmissionVersion(assignment, entry);
+
+    assert.strictEqual(version, 1);
+    const [doc] = insert.mock.calls[0].arguments;
+    assert.deepStrictEqual(doc.versions, [
+      {
+        version: 1,
+        submissionLink: entry.submissionLink,
+        submittedAt: entry.submittedAt,
+        late: false,
+        penaltyPercent: 0,
+        status: 'submitted',
+        current: true,
+      },
+    ]);
+  });
+
+  it('turns a lost race for the first insert into a resubmission', async () => {
+    const first = {
+      _id: new ObjectId(),
+      assignmentId: assignment._id,
+      studentEmail: entry.studentEmail,
+      submissionLink: 'https://example.test/parallel',
+      submittedAt: new Date(),
+      status: 'submitted',
+      currentVersion: 1,
+      versions: [{ version: 1, current: true }],
+    };
+    const lookups = [null, first];
+    mock.method(submissions, 'findOne', async () => lookups.shift());
+    mock.method(submissions, 'insertOne', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+    const update = mock.method(submissions, 'updateOne', async () => ({
+      matchedCount: 1,
+    }));
+
+    const result = await saveSubmissionVersion(assignment, entry);
+
+    assert.deepStrictEqual(result, { submissionId: first._id, version: 2 });
+    const { $set } = update.mock.calls[0].arguments[1];
+    assert.deepStrictEqual(
+      $set.versions.map(v => [v.version, v.status, v.current]),
+      [
+        [1, 'submitted', false],
+        [2, 'submitted', true],
+      ]
+    );
+  });
+});
+
+describe('deadline edits', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('relabels submissions and re-applies the penalty to marks', async () => {
+    const assignment = { _id: new ObjectId(), dueAt, latePenaltyPerDay: 20 };
+    const wasLate = {
+      _id: new ObjectId(),
+      submittedAt: hoursAfter(2),
+      late: true,
+      daysLate: 1,
+      penaltyPercent: 10,
+      mark: 72,
+      rawMark: 80,
+      versions: [{ version: 1, current: true }],
+    };
+    const unchanged = {
+      _id: new ObjectId(),
+      submittedAt: hoursAfter(-2),
+      late: false,
+    };
+    mock.method(submissions, 'find', () => cursor([wasLate, unchanged]));
+    const bulkWrite = mock.method(submissions, 'bulkWrite', async () => ({}));
+
+    // Twice the penalty per day
+    assert.strictEqual(await recomputeLateness(assignment), 1);
+    let [[op]] = bulkWrite.mock.calls[0].arguments;
+    assert.deepStrictEqual(op.updateOne.filter, { _id: wasLate._id });
+    assert.deepStrictEqual(op.updateOne.update.$set, {
+      late: true,
+      daysLate: 1,
+      penaltyPercent: 20,
+      rawMark: 80,
+      mark: 64,
+      'versions.$[entry].late': true,
+      'versions.$[entry].penaltyPercent': 20,
+    });
+
+    // Deadline moved past the submission: the full mark comes back
+    await recomputeLateness({ ...assignment, dueAt: hoursAfter(24) });
+    [[op]] = bulkWrite.mock.calls[1].arguments;
+    assert.strictEqual(op.updateOne.update.$set.mark, 80);
+    assert.deepStrictEqual(op.updateOne.update.$unset, { rawMark: '' });
+  });
+});
+
+describe('submitting', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  it('stores the normalized email whatever casing is sent', async () => {
+    const assignment = { _id: new ObjectId() };
+    mock.method(server.usersCollection, 'findOne', async ({ email }) => ({
+      email,
+      role: 'student',
+    }));
+    mock.method(
+      server.assignmentsCollection,
+      'findOne',
+      async () => assignment
+    );
+    mock.method(submissions, 'findOne', async () => null);
+    const insert = mock.method(submissions, 'insertOne', async () => ({
+      insertedId: new ObjectId(),
+    }));
+
+    const res = await api.request('POST', '/assignments/submit', {
+      token: 'sam@school.test',
+      body: {
+        assignmentId: String(assignment._id),
+        submissionLink: 'https://example.test/work',
+        studentEmail: 'Sam@School.TEST',
+        studentName: 'Sam',
+      },
+    });
+
+    assert.strictEqual(res.status, 201);
+    const [doc] = insert.mock.calls[0].arguments;
+    assert.strictEqual(doc.studentEmail, 'sam@school.test');
+  });
+});
+
+describe('teacher inbox', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const teacher = 'teacher@school.test';
+  const assignmentId = new ObjectId();
+
+  const inbox = async (url, page = []) => {
+    mock.method(server.usersCollection, 'findOne', async ({ email }) => ({
+      email,
+      role: 'teacher',
+    }));
+    mock.method(server.assignmentsCollection, 'distinct', async () => [
+      assignmentId,
+    ]);
+    const aggregate = mock.method(submissions, 'aggregate', () => cursor(page));
+    const count = mock.method(submissions, 'countDocuments', async () => 42);
+    const res = await api.request('GET', url, { token: teacher });
+    return { res, aggregate, count };
+  };
+
+  it('joins assignments onto the requested page only', async () => {
+    const { res, aggregate, count } = await inbox(
+      `/teacher/submissions/${teacher}?sort=studentName&page=3&limit=10`
+    );
+
+    assert.strictEqual(res.status, 200);
+    const [pipeline] = aggregate.mock.calls[0].arguments;
+    assert.deepStrictEqual(
+      pipeline.map(stage => Object.keys(stage)[0]),
+      ['$match', '$sort', '$skip', '$limit', '$lookup', '$unwind']
+    );
+    assert.deepStrictEqual(pipeline[1].$sort, { studentName: 1, _id: 1 });
+    assert.strictEqual(pipeline[2].$skip, 20);
+    assert.strictEqual(pipeline[3].$limit, 10);
+    assert.deepStrictEqual(
+      count.mock.calls[0].arguments[0],
+      pipeline[0].$match
+    );
+  });
+
+  it('counts every match, not just the page', async () => {
+    const { res, count } = await inbox(
+      `/teacher/submissions/${teacher}?status=late`,
+      [{ _id: new ObjectId() }]
+    );
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.total, 42);
+    assert.strictEqual(res.body.submissions.length, 1);
+    const [filter] = count.mock.calls[0].arguments;
+    assert.strictEqual(filter.late, true);
+    assert.deepStrictEqual(filter.assignmentId, {
+      $in: [assignmentId, String(assignmentId)],
+    });
+  });
+
+  it('is only open to the teacher it belongs to', async () => {
+    const { res, aggregate } = await inbox(
+      '/teacher/submissions/other@school.test'
+    );
+
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(aggregate.mock.callCount(), 0);
+  });
+});
+
+describe('reviewing', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const admin = 'admin@school.test';
+  const assignment = { _id: new ObjectId(), title: 'Loops' };
+  const submission = {
+    _id: new ObjectId(),
+    assignmentId: String(assignment._id),
+    studentEmail: 'sam@school.test',
+    studentName: 'Sam',
+    status: 'submitted',
+  };
+
+  // Resolves once the spy has been called `count` times
+  const calledTimes = async (spy, count) => {
+    while (spy.mock.callCount() < count) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+
+  it('looks the assignment up once for every subscriber', async () => {
+    mock.method(server.usersCollection, 'findOne', async ({ email }) => ({
+      email,
+      role: 'admin',
+    }));
+    mock.method(server.usersCollection, 'find', () => cursor([]));
+    mock.method(server.auditLogCollection, 'insertOne', async () => ({}));
+    mock.method(submissions, 'findOne', async () => submission);
+    mock.method(submissions, 'findOneAndUpdate', async () => submission);
+    const lookup = mock.method(
+      server.assignmentsCollection,
+      'findOne',
+      async () => assignment
+    );
+    const notifications = mock.method(
+      db.notificationsCollection,
+      'insertMany',
+      async () => ({})
+    );
+    const mail = mock.method(
+      db.mailQueueCollection,
+      'insertMany',
+      async () => ({})
+    );
+    mock.method(db.mailQueueCollection, 'findOneAndUpdate', async () => null);
+
+    const res = await api.request(
+      'PUT',
+      `/admin/assignments/${submission._id}/status`,
+      { token: admin, body: { status: 'reviewed', mark: 8 } }
+    );
+
+    assert.strictEqual(res.status, 200);
+    await calledTimes(notifications, 1);
+    await calledTimes(mail, 1);
+    assert.strictEqual(lookup.mock.callCount(), 1);
+    const [[notification]] = notifications.mock.calls[0].arguments;
+    assert.strictEqual(notification.body, '"Loops" is now reviewed (mark: 8)');
+    const [[job]] = mail.mock.calls[0].arguments;
+    assert.match(job.subject, /"Loops" was reviewed/);
+  });
+
+  it('rejects a status nothing else understands', async () => {
+    mock.method(server.usersCollection, 'findOne', async ({ email }) => ({
+      email,
+      role: 'admin',
+    }));
+    const update = mock.method(submissions, 'findOneAndUpdate');
+
+    const res = await api.request(
+      'PUT',
+      `/admin/assignments/${submission._id}/status`,
+      { token: admin, body: { status: 'approved' } }
+    );
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.details[0].field, 'status');
+    assert.strictEqual(update.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+const { server, verifyAs, withUsers, listen, cursor } = require('./helpers');
+const db = require('../lib/db');
+
+const { TRASH_TYPES } = server;
+const token = 'admin@school.test';
+
+// Every trashable collection answers empty unless a test says otherwise
+const emptyTrash = () => {
+  for (const collection of Object.values(TRASH_TYPES)) {
+    mock.method(collection, 'find', () => cursor([]));
+    mock.method(collection, 'updateMany', async () => ({ modifiedCount: 0 }));
+  }
+  mock.method(server.auditLogCollection, 'insertOne', async () => ({}));
+};
+
+describe('trashed students', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  it('lose their role while in the trash', async () => {
+    mock.method(server.usersCollection, 'findOne', async ({ email }) => ({
+      email,
+      role: 'student',
+      deletedAt: new Date(),
+    }));
+    const res = await api.request('POST', '/assignments/submit', {
+      token: 'sam@school.test',
+      body: {},
+    });
+    assert.strictEqual(res.status, 403);
+  });
+
+  it('flag the users row on delete and clear it on restore', async () => {
+    withUsers({ [token]: 'admin' });
+    emptyTrash();
+    const student = {
+      _id: new ObjectId(),
+      email: 'sam@school.test',
+      roll: 4,
+    };
+    mock.method(
+      server.studentsCollection,
+      'findOneAndUpdate',
+      async () => student
+    );
+    const accounts = mock.method(
+      server.usersCollection,
+      'updateOne',
+      async () => ({})
+    );
+
+    let res = await api.request('DELETE', `/admin/students/${student._id}`, {
+      token,
+    });
+    assert.strictEqual(res.status, 200);
+    let [filter, update] = accounts.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { email: student.email, role: 'student' });
+    assert.ok(update.$set.deletedAt instanceof Date);
+
+    mock.method(server.studentsCollection, 'findOne', async () => ({
+      ...student,
+      deletedAt: new Date(),
+      deletedBy: token,
+    }));
+    mock.method(server.studentsCollection, 'updateOne', async () => ({}));
+    res = await api.request(
+      'POST',
+      `/admin/trash/students/${student._id}/restore`,
+      { token }
+    );
+    assert.strictEqual(res.status, 200);
+    [filter, update] = accounts.mock.calls[1].arguments;
+    assert.deepStrictEqual(update, { $unset: { deletedAt: '' } });
+  });
+});
+
+describe('orphan repair', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  it('audits the collection it repaired', async () => {
+    withUsers({ [token]: 'admin' });
+    const dangling = new ObjectId();
+    const { assignmentSubmissionsCollection: submissions } = server;
+    for (const collection of [
+      server.usersCollection,
+      server.quizAttemptsCollection,
+      db.enrolledCoursesCollection,
+      db.messagesCollection,
+    ]) {
+      mock.method(collection, 'aggregate', () => cursor([]));
+    }
+    mock.method(submissions, 'aggregate', pipeline =>
+      cursor(
+        pipeline[1].$lookup.from === 'assignments' ? [{ _id: dangling }] : []
+      )
+    );
+    mock.method(db.videosCollection, 'find', () => cursor([]));
+    mock.method(server.assignmentsCollection, 'find', () => cursor([]));
+    mock.method(submissions, 'deleteMany', async () => ({ deletedCount: 1 }));
+    const audit = mock.method(
+      server.auditLogCollection,
+      'insertOne',
+      async () => ({})
+    );
+
+    const res = await api.request('POST', '/admin/orphans/repair', {
+      token,
+      body: { checks: ['submissionsWithoutAssignment'] },
+    });
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.repaired, {
+      submissionsWithoutAssignment: 1,
+    });
+    assert.strictEqual(audit.mock.callCount(), 1);
+    const [entry] = audit.mock.calls[0].arguments;
+    assert.strictEqual(entry.action, 'orphans.repair');
+    assert.strictEqual(entry.target.collection, 'assignmentSubmit');
+    assert.deepStrictEqual(entry.meta, {
+      check: 'submissionsWithoutAssignment',
+      ids: [dangling],
+      count: 1,
+    });
+  });
+});
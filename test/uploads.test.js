@@ -0,0 +1,162 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { ObjectId } = require('mongodb');
+const { server, verifyAs, withUsers, listen, cursor } = require('./helpers');
+const { uploadSessionsCollection: sessions } = require('../lib/db');
+
+const teacher = 'teacher@school.test';
+
+describe('upload chunks', () => {
+  let api;
+  before(() => {
+    verifyAs();
+    api = listen();
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const sendChunk = (session, offset, body) =>
+    fetch(
+      `${api.url()}/teacher/uploads/${session._id}/chunks?offset=${offset}`,
+      {
+        method: 'PUT',
+        headers: {
+          authorization: `Bearer ${teacher}`,
+          'content-type': 'application/octet-stream',
+        },
+        body,
+      }
+    );
+
+  it('let only one of two parallel chunks write an offset', async () => {
+    withUsers({ [teacher]: 'teacher' });
+    const session = {
+      _id: new ObjectId(),
+      ownerEmail: teacher,
+      status: 'uploading',
+      size: 8,
+      received: 0,
+    };
+    const partPath = server.uploadPartPath(session._id);
+    await fs.promises.writeFile(partPath, '');
+
+    mock.method(sessions, 'findOne', async () => ({ ...session }));
+    // The claim succeeds once; the lock is still held for the second chunk
+    let locked = false;
+    const updates = mock.method(sessions, 'updateOne', async (filter, op) => {
+      if (op.$set?.chunkLockedUntil) {
+        if (locked) return { matchedCount: 0, modifiedCount: 0 };
+        locked = true;
+      }
+      return { matchedCount: 1, modifiedCount: 1 };
+    });
+
+    const responses = await Promise.all([
+      sendChunk(session, 0, 'aaaa'),
+      sendChunk(session, 0, 'bbbb'),
+    ]);
+
+    try {
+      assert.deepStrictEqual(responses.map(r => r.status).sort(), [200, 409]);
+      const written = await fs.promises.readFile(partPath, 'latin1');
+      assert.ok(['aaaa', 'bbbb'].includes(written), written);
+      const [, saved] = updates.mock.calls.at(-1).arguments;
+      assert.deepStrictEqual(saved.$unset, { chunkLockedUntil: '' });
+      assert.strictEqual(saved.$set.received, 4);
+    } finally {
+      await fs.promises.rm(partPath, { force: true });
+    }
+  });
+
+  it('resume from the bytes already received', async () => {
+    withUsers({ [teacher]: 'teacher' });
+    const session = {
+      _id: new ObjectId(),
+      ownerEmail: teacher,
+      status: 'uploading',
+      size: 8,
+      received: 4,
+    };
+    const partPath = server.uploadPartPath(session._id);
+    await fs.promises.writeFile(partPath, 'aaaa');
+    mock.method(sessions, 'findOne', async () => ({ ...session }));
+    mock.method(sessions, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    try {
+      // A client that lost track restarts at 0 and is told where to go on
+      const stale = await sendChunk(session, 0, 'aaaa');
+      assert.strictEqual(stale.status, 409);
+      assert.strictEqual((await stale.json()).received, 4);
+
+      const resumed = await sendChunk(session, 4, 'bbbb');
+      assert.strictEqual(resumed.status, 200);
+      assert.deepStrictEqual(await resumed.json(), { received: 8, size: 8 });
+      assert.strictEqual(
+        await fs.promises.readFile(partPath, 'latin1'),
+        'aaaabbbb'
+      );
+    } finally {
+      await fs.promises.rm(partPath, { force: true });
+    }
+  });
+
+  it('refuse chunks for an expired upload', async () => {
+    withUsers({ [teacher]: 'teacher' });
+    const session = {
+      _id: new ObjectId(),
+      ownerEmail: teacher,
+      status: 'expired',
+      size: 8,
+      received: 4,
+    };
+    mock.method(sessions, 'findOne', async () => session);
+    const update = mock.method(sessions, 'updateOne');
+
+    const res = await sendChunk(session, 4, 'bbbb');
+
+    assert.strictEqual(res.status, 409);
+    assert.deepStrictEqual(await res.json(), { error: 'Upload is expired' });
+    assert.strictEqual(update.mock.callCount(), 0);
+  });
+});
+
+describe('upload cleanup', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('expires abandoned, failed and stuck sessions', async () => {
+    const stale = { _id: new ObjectId() };
+    const partPath = server.uploadPartPath(stale._id);
+    await fs.promises.writeFile(partPath, 'partial');
+
+    const find = mock.method(sessions, 'find', () => cursor([stale]));
+    const update = mock.method(sessions, 'updateOne', async () => ({
+      modifiedCount: 1,
+    }));
+
+    await server.cleanupExpiredUploads();
+
+    const statuses = find.mock.calls[0].arguments[0].$or.map(c => c.status);
+    assert.deepStrictEqual(statuses, ['uploading', 'failed', 'processing']);
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter._id, stale._id);
+    assert.strictEqual(change.$set.status, 'expired');
+    assert.strictEqual(fs.existsSync(partPath), false);
+  });
+
+  it('keeps the file of a session that moved on meanwhile', async () => {
+    const session = { _id: new ObjectId() };
+    const partPath = server.uploadPartPath(session._id);
+    await fs.promises.writeFile(partPath, 'partial');
+
+    mock.method(sessions, 'find', () => cursor([session]));
+    mock.method(sessions, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+    try {
+      await server.cleanupExpiredUploads();
+      assert.strictEqual(fs.existsSync(partPath), true);
+    } finally {
+      await fs.promises.rm(partPath, { force: true });
+    }
+  });
+});